@@ -0,0 +1,61 @@
+/**
+ * AthleteStore.js
+ * Perfiles de atletas guardados localmente (IndexedDB), usados para etiquetar
+ * cada captura y para las métricas que necesitan masa corporal.
+ */
+
+import { STORES, withStore } from './LocalDb.js';
+import { t } from './I18n.js';
+
+/**
+ * @typedef {Object} Athlete
+ * @property {number} [id] - Clave autoincremental asignada por IndexedDB.
+ * @property {string} name - Nombre.
+ * @property {number|null} bodyMass - Masa corporal (kg).
+ * @property {number|null} height - Estatura (cm).
+ * @property {'F'|'M'|null} sex - Sexo.
+ * @property {string} sport - Deporte.
+ * @property {'left'|'right'|null} dominantLeg - Pierna dominante.
+ * @property {number} createdAt - Fecha de alta (ms desde epoch).
+ */
+
+/**
+ * Guarda un atleta (nuevo o existente si trae `id`).
+ * @param {Athlete} athlete
+ * @returns {Promise<number>} id del atleta.
+ * @throws {Error} Si falta el nombre.
+ */
+export function saveAthlete(athlete) {
+  if (!athlete?.name?.trim()) {
+    return Promise.reject(new Error(`saveAthlete: ${t('error.athlete.nameRequired')}`));
+  }
+  const record = { createdAt: Date.now(), ...athlete, name: athlete.name.trim() };
+  return withStore(STORES.ATHLETES, 'readwrite', (store) => store.put(record));
+}
+
+/**
+ * Lista los atletas ordenados por nombre.
+ * @returns {Promise<Athlete[]>}
+ */
+export async function listAthletes() {
+  const athletes = await withStore(STORES.ATHLETES, 'readonly', (store) => store.getAll());
+  return athletes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Obtiene un atleta por id.
+ * @param {number} id
+ * @returns {Promise<Athlete|undefined>}
+ */
+export function getAthlete(id) {
+  return withStore(STORES.ATHLETES, 'readonly', (store) => store.get(id));
+}
+
+/**
+ * Elimina un atleta por id. Sus sesiones se conservan con la copia del perfil.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteAthlete(id) {
+  return withStore(STORES.ATHLETES, 'readwrite', (store) => store.delete(id));
+}
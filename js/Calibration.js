@@ -0,0 +1,152 @@
+/**
+ * Calibration.js
+ * Calibración verificada en quietud: g0 y el eje vertical sólo se estiman con
+ * una ventana en la que el atleta estuvo realmente quieto.
+ *  1) Ventana deslizante con las últimas `ms` de muestras
+ *  2) Un movimiento brusco (desvío de |a| mayor a MOVE_FACTOR · restThresh)
+ *     vacía la ventana y la calibración vuelve a empezar
+ *  3) Si la ventana está completa pero su desvío supera restThresh, la
+ *     calibración se extiende hasta que las últimas `ms` sean quietas
+ *  4) Pasado `maxMs` sin una ventana quieta, la calibración falla
+ */
+
+import { JUMP_DETECTION_DEFAULTS } from './settings.js';
+import { estimateGravity } from './JumpDetectorCore.js';
+
+/** Múltiplo de restThresh que cuenta como movimiento y reinicia la calibración. */
+const MOVE_FACTOR = 3;
+
+/** Estados de la calibración. */
+export const CALIBRATION_STATES = Object.freeze({
+  CALIBRATING: 'calibrating',
+  DONE: 'done',
+  FAILED: 'failed',
+});
+
+/**
+ * @typedef {Object} CalibrationStats
+ * @property {number} samples - Muestras de la ventana usada.
+ * @property {number} duration - Duración de la ventana (ms).
+ * @property {number} std - Desvío estándar de |a| en la ventana (m/s^2).
+ * @property {number} maxDeviation - Mayor desvío de |a| respecto de su media (m/s^2).
+ * @property {number} restarts - Veces que se reinició por movimiento.
+ * @property {number} elapsed - Tiempo total hasta calibrar (ms).
+ */
+
+/**
+ * @typedef {Object} CalibrationStatus
+ * @property {string} state - Uno de CALIBRATION_STATES.
+ * @property {number} progress - 0–1, fracción de la ventana quieta reunida.
+ * @property {boolean} still - Si la última muestra es compatible con quietud.
+ * @property {number} restarts - Reinicios por movimiento hasta ahora.
+ * @property {{g0:number, gUnit:number[], stats:CalibrationStats}} [result] - Al terminar.
+ */
+
+/** Media y desvío estándar de |a|. @private */
+function magnitudeStats(window) {
+  const mags = window.map((s) => Math.hypot(s.ax, s.ay, s.az));
+  const mean = mags.reduce((s, v) => s + v, 0) / mags.length;
+  const std = Math.sqrt(mags.reduce((s, v) => s + (v - mean) ** 2, 0) / mags.length);
+  const maxDeviation = Math.max(...mags.map((v) => Math.abs(v - mean)));
+  return { mean, std, maxDeviation };
+}
+
+/**
+ * Calibración incremental: se le pasan muestras de a una hasta que informa
+ * DONE (con g0, gUnit y estadísticas) o FAILED.
+ */
+export class StillnessCalibrator {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.ms] - Ventana quieta requerida (ms); por defecto calibMs de settings.js.
+   * @param {number} [opts.restThresh] - Desvío máximo de |a| en quietud (m/s^2).
+   * @param {number} [opts.maxMs=15000] - Tiempo máximo para lograr una ventana quieta.
+   * @param {number} [opts.minSamples=10] - Muestras mínimas en la ventana.
+   */
+  constructor({
+    ms = JUMP_DETECTION_DEFAULTS.calibMs,
+    restThresh = JUMP_DETECTION_DEFAULTS.restThresh,
+    maxMs = 15000,
+    minSamples = 10,
+  } = {}) {
+    this.ms = ms;
+    this.restThresh = restThresh;
+    this.maxMs = maxMs;
+    this.minSamples = minSamples;
+    this.reset();
+  }
+
+  /** Vuelve a empezar desde cero. */
+  reset() {
+    this.window = [];
+    this.restarts = 0;
+    this.tStart = null;
+    this.status = { state: CALIBRATION_STATES.CALIBRATING, progress: 0, still: true, restarts: 0 };
+  }
+
+  /**
+   * Agrega una muestra.
+   * @param {{t:number, ax:number, ay:number, az:number}} sample - t en ms.
+   * @returns {CalibrationStatus}
+   */
+  push(sample) {
+    if (this.status.state !== CALIBRATION_STATES.CALIBRATING) return this.status;
+    if (this.tStart == null) this.tStart = sample.t;
+
+    let still = true;
+    if (this.window.length >= this.minSamples) {
+      const { mean } = magnitudeStats(this.window);
+      const dev = Math.abs(Math.hypot(sample.ax, sample.ay, sample.az) - mean);
+      if (dev > MOVE_FACTOR * this.restThresh) {
+        // Movimiento: lo reunido hasta ahora no sirve
+        this.window = [];
+        this.restarts++;
+        still = false;
+      }
+    }
+    this.window.push(sample);
+    while (this.window.length > 1 && sample.t - this.window[1].t >= this.ms) this.window.shift();
+
+    const span = sample.t - this.window[0].t;
+    const stats = magnitudeStats(this.window);
+    still = still && stats.std <= this.restThresh;
+    const full = span >= this.ms && this.window.length >= this.minSamples;
+
+    if (full && still) {
+      const { g0, gUnit } = estimateGravity(this.window);
+      this.status = {
+        state: CALIBRATION_STATES.DONE,
+        progress: 1,
+        still,
+        restarts: this.restarts,
+        result: {
+          g0,
+          gUnit,
+          stats: {
+            samples: this.window.length,
+            duration: span,
+            std: stats.std,
+            maxDeviation: stats.maxDeviation,
+            restarts: this.restarts,
+            elapsed: sample.t - this.tStart,
+          },
+        },
+      };
+    } else if (sample.t - this.tStart >= this.maxMs) {
+      this.status = { state: CALIBRATION_STATES.FAILED, progress: 0, still, restarts: this.restarts };
+    } else {
+      // Una ventana completa pero inquieta queda justo debajo de 1 hasta calmarse
+      const progress = Math.min(span / this.ms, full ? 0.99 : 1);
+      this.status = { state: CALIBRATION_STATES.CALIBRATING, progress, still, restarts: this.restarts };
+    }
+    return this.status;
+  }
+
+  /**
+   * Muestras de la ventana quieta (la usada al terminar).
+   * @returns {Array<Object>}
+   */
+  samples() {
+    return [...this.window];
+  }
+}
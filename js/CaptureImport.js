@@ -0,0 +1,165 @@
+/**
+ * CaptureImport.js
+ * Lectura de capturas grabadas para re-analizarlas sin teléfono.
+ * Formatos aceptados:
+ *  1) JSON propio de la app ('activsensor-capture', ver JumpExport.js).
+ *  2) CSV genérico con encabezado, una columna de tiempo y columnas ax/ay/az (m/s^2).
+ *     - Tiempo en ms: columnas "t_ms", "t", "timestamp" o "time_ms".
+ *     - Tiempo en s:  columnas "t_s", "time_s", "time" o "seconds".
+ *     - Aceleración: "ax/ay/az", "x/y/z" o "acc_x/acc_y/acc_z".
+ *     Se aceptan separadores "," o ";".
+ */
+
+import { EXPORT_FORMAT, EXPORT_VERSION } from './JumpExport.js';
+import { t } from './I18n.js';
+
+const TIME_MS_COLUMNS = ['t_ms', 't', 'timestamp', 'time_ms'];
+const TIME_S_COLUMNS = ['t_s', 'time_s', 'time', 'seconds'];
+const AXIS_COLUMNS = {
+  ax: ['ax', 'x', 'acc_x'],
+  ay: ['ay', 'y', 'acc_y'],
+  az: ['az', 'z', 'acc_z'],
+};
+
+/**
+ * @typedef {Object} ImportedCapture
+ * @property {Array<{t:number, ax:number, ay:number, az:number, mag:number}>} motionData - t en ms.
+ * @property {Array<{t:number, alpha:number, beta:number, gamma:number}>} orientationData
+ * @property {number|null} createdAt - Fecha original de la captura (ms desde epoch) si se conoce.
+ * @property {Object|null} settings - Ajustes originales si el archivo los trae.
+ * @property {string|null} protocol - Id del protocolo original si el archivo lo trae.
+ * @property {Object|null} athlete - Perfil del atleta al capturar si el archivo lo trae.
+ * @property {number|null} bodyMass - Masa corporal (kg) usada al capturar si el archivo la trae.
+ * @property {'json'|'csv'} kind - Formato detectado.
+ */
+
+/**
+ * Interpreta el contenido de un archivo de captura.
+ *
+ * @param {string} text - Contenido del archivo.
+ * @param {string} [fileName=''] - Nombre (se usa la extensión como pista).
+ * @returns {ImportedCapture}
+ * @throws {Error} Si el formato no se reconoce o no hay muestras válidas.
+ */
+export function parseCaptureFile(text, fileName = '') {
+  const trimmed = text.trim();
+  const looksJson = /\.json$/i.test(fileName) || trimmed.startsWith('{');
+  const capture = looksJson ? parseCaptureJson(trimmed) : parseCaptureCsv(trimmed);
+  if (!capture.motionData.length) {
+    throw new Error(`parseCaptureFile: ${t('error.import.noSamples')}`);
+  }
+  return capture;
+}
+
+/**
+ * Lee el formato JSON exportado por la app.
+ * @param {string} text
+ * @returns {ImportedCapture}
+ */
+export function parseCaptureJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`parseCaptureJson: ${t('error.import.invalidJson')}`);
+  }
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error(`parseCaptureJson: ${t('error.import.unknownFormat', { format: EXPORT_FORMAT })}`);
+  }
+  if (!(data.version >= 1 && data.version <= EXPORT_VERSION)) {
+    throw new Error(`parseCaptureJson: ${t('error.import.unsupportedVersion', { version: data.version })}`);
+  }
+  const motionData = (data.motion || [])
+    .map((s) => {
+      const sample = toMotionSample(s.t, s.ax, s.ay, s.az);
+      // Giroscopio opcional, usado por la fusión de orientación
+      if (sample && [s.gx, s.gy, s.gz].every(Number.isFinite)) {
+        Object.assign(sample, { gx: s.gx, gy: s.gy, gz: s.gz });
+      }
+      return sample;
+    })
+    .filter(Boolean);
+  const orientationData = (data.orientation || [])
+    .filter((s) => Number.isFinite(s.t))
+    .map((s) => ({ t: s.t, alpha: s.alpha || 0, beta: s.beta || 0, gamma: s.gamma || 0 }));
+  return {
+    motionData,
+    orientationData,
+    createdAt: data.createdAt ? Date.parse(data.createdAt) : null,
+    settings: data.settings || null,
+    protocol: data.protocol || null,
+    athlete: data.athlete || null,
+    bodyMass: data.bodyMass > 0 ? data.bodyMass : null,
+    kind: 'json',
+  };
+}
+
+/**
+ * Lee un CSV genérico con tiempo y aceleraciones ax/ay/az.
+ * @param {string} text
+ * @returns {ImportedCapture}
+ */
+export function parseCaptureCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== '');
+  if (lines.length < 2) throw new Error(`parseCaptureCsv: ${t('error.import.emptyCsv')}`);
+  const sep = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const header = lines[0].split(sep).map((h) => h.trim().replace(/^"|"$/g, '').toLowerCase());
+
+  const find = (names) => header.findIndex((h) => names.includes(h));
+  let tIdx = find(TIME_MS_COLUMNS);
+  let tScale = 1;
+  if (tIdx < 0) {
+    tIdx = find(TIME_S_COLUMNS);
+    tScale = 1000;
+  }
+  const axIdx = find(AXIS_COLUMNS.ax);
+  const ayIdx = find(AXIS_COLUMNS.ay);
+  const azIdx = find(AXIS_COLUMNS.az);
+  if (tIdx < 0 || axIdx < 0 || ayIdx < 0 || azIdx < 0) {
+    throw new Error(`parseCaptureCsv: ${t('error.import.missingColumns')}`);
+  }
+
+  const motionData = [];
+  for (const line of lines.slice(1)) {
+    const cols = line.split(sep);
+    const sample = toMotionSample(
+      parseFloat(cols[tIdx]) * tScale,
+      parseFloat(cols[axIdx]),
+      parseFloat(cols[ayIdx]),
+      parseFloat(cols[azIdx])
+    );
+    if (sample) motionData.push(sample);
+  }
+  motionData.sort((a, b) => a.t - b.t);
+  return {
+    motionData,
+    orientationData: [],
+    createdAt: null,
+    settings: null,
+    protocol: null,
+    athlete: null,
+    bodyMass: null,
+    kind: 'csv',
+  };
+}
+
+/** Crea una muestra de movimiento o null si algún valor no es numérico. */
+function toMotionSample(t, ax, ay, az) {
+  if (![t, ax, ay, az].every(Number.isFinite)) return null;
+  return { t, ax, ay, az, mag: Math.hypot(ax, ay, az) };
+}
+
+/**
+ * Lee un File del navegador como texto.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileText(file) {
+  if (typeof file.text === 'function') return file.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
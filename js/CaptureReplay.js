@@ -0,0 +1,60 @@
+/**
+ * CaptureReplay.js
+ * Reproduce una lista de muestras grabadas, de forma instantánea o respetando
+ * los tiempos originales, para alimentar el mismo flujo que los datos en vivo.
+ */
+
+/**
+ * @typedef {Object} ReplayOptions
+ * @property {boolean} [realtime=false] - Si true, respeta los intervalos originales entre muestras.
+ * @property {number}  [speed=1] - Factor de velocidad en tiempo real (2 = doble de rápido).
+ * @property {(sample: {t:number}) => void} onSample - Se llama por cada muestra, en orden.
+ * @property {() => void} [onDone] - Se llama al terminar (no se llama si se cancela).
+ */
+
+/**
+ * Inicia la reproducción de muestras.
+ *
+ * @param {Array<{t:number}>} samples - Muestras ordenadas por t (ms).
+ * @param {ReplayOptions} opts
+ * @returns {{ cancel: () => void }} Control para cancelar la reproducción.
+ */
+export function replayCapture(samples, opts) {
+  const onSample = opts.onSample;
+  const onDone = typeof opts.onDone === 'function' ? opts.onDone : () => {};
+  const speed = opts.speed > 0 ? opts.speed : 1;
+
+  if (!opts.realtime) {
+    samples.forEach(onSample);
+    onDone();
+    return { cancel() {} };
+  }
+
+  let idx = 0;
+  let timer = null;
+  let cancelled = false;
+  const tFirst = samples[0]?.t ?? 0;
+  const wallStart = performance.now();
+
+  const tick = () => {
+    if (cancelled) return;
+    const elapsed = (performance.now() - wallStart) * speed;
+    while (idx < samples.length && samples[idx].t - tFirst <= elapsed) {
+      onSample(samples[idx++]);
+    }
+    if (idx >= samples.length) {
+      onDone();
+      return;
+    }
+    const wait = (samples[idx].t - tFirst - elapsed) / speed;
+    timer = setTimeout(tick, Math.max(0, Math.min(wait, 50)));
+  };
+  tick();
+
+  return {
+    cancel() {
+      cancelled = true;
+      clearTimeout(timer);
+    },
+  };
+}
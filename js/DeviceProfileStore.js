@@ -0,0 +1,91 @@
+/**
+ * DeviceProfileStore.js
+ * Umbrales de detección ajustados para este dispositivo (ver ThresholdTuning.js),
+ * guardados localmente (IndexedDB). Cada teléfono tiene su propio ruido y
+ * respuesta de sensores, así que el ajuste se guarda por modelo.
+ */
+
+import { STORES, withStore } from './LocalDb.js';
+import { t } from './I18n.js';
+
+/**
+ * @typedef {Object} DeviceProfile
+ * @property {string} key - Identificador del dispositivo (ver currentDeviceKey).
+ * @property {Object} thresholds - Umbrales ajustados (claves de TUNED_THRESHOLDS).
+ * @property {Object} [stats] - Mediciones del ajuste (ver TuningResult).
+ * @property {number} updatedAt - Fecha del ajuste (ms desde epoch).
+ */
+
+let deviceKey = null;
+
+/**
+ * Identificador del dispositivo actual: plataforma y modelo si el navegador
+ * los expone (User-Agent Client Hints; el modelo es una pista de alta entropía
+ * y llega vacío en computadoras), si no el User-Agent sin números de versión,
+ * para que una actualización del navegador no pierda el ajuste.
+ * @returns {Promise<string>}
+ */
+export function currentDeviceKey() {
+  // Se resuelve una vez: la pista de alta entropía es asíncrona
+  if (!deviceKey) deviceKey = deviceKeyFromUserAgent();
+  return deviceKey;
+}
+
+/** Clave armada con las Client Hints o el User-Agent. @private */
+async function deviceKeyFromUserAgent() {
+  const uaData = navigator.userAgentData;
+  if (uaData?.platform) {
+    let model = '';
+    try {
+      const hints = await uaData.getHighEntropyValues(['model']);
+      model = hints.model || '';
+    } catch {
+      // Pista denegada: sólo plataforma y tipo
+    }
+    return [uaData.platform, model, uaData.mobile ? 'mobile' : 'desktop']
+      .filter(Boolean)
+      .join(' ');
+  }
+  // iOS escribe las versiones con guion bajo (iPhone OS 17_0) y agrega el
+  // número de compilación (Mobile/15E148), que también cambia al actualizar
+  return navigator.userAgent
+    .replace(/\d+([._]\d+)+/g, '')
+    .replace(/Mobile\/\w+/g, 'Mobile')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Umbrales guardados para este dispositivo.
+ * @returns {Promise<DeviceProfile|undefined>}
+ */
+export async function getDeviceProfile() {
+  const key = await currentDeviceKey();
+  return withStore(STORES.DEVICES, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * Guarda los umbrales ajustados para este dispositivo (reemplaza los anteriores).
+ * @param {Object} thresholds
+ * @param {Object} [stats]
+ * @returns {Promise<string>} Clave del dispositivo.
+ * @throws {Error} Si no hay umbrales.
+ */
+export function saveDeviceProfile(thresholds, stats) {
+  if (!thresholds || !Object.keys(thresholds).length) {
+    return Promise.reject(new Error(`saveDeviceProfile: ${t('error.device.noThresholds')}`));
+  }
+  return currentDeviceKey().then((key) => {
+    const record = { key, thresholds, stats, updatedAt: Date.now() };
+    return withStore(STORES.DEVICES, 'readwrite', (store) => store.put(record));
+  });
+}
+
+/**
+ * Borra el ajuste de este dispositivo: vuelven los umbrales por defecto.
+ * @returns {Promise<void>}
+ */
+export async function clearDeviceProfile() {
+  const key = await currentDeviceKey();
+  return withStore(STORES.DEVICES, 'readwrite', (store) => store.delete(key));
+}
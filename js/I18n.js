@@ -0,0 +1,172 @@
+/**
+ * I18n.js
+ * Idioma de la interfaz:
+ *  1) Catálogos de mensajes por idioma (js/locales/), con claves planas y
+ *     parámetros {nombre}
+ *  2) Idioma elegido guardado en localStorage; si no hay, el del navegador
+ *     cuando está soportado, o español
+ *  3) Formato de números y fechas según el idioma
+ *  4) Traducción de los textos estáticos de las páginas (atributos data-i18n)
+ *
+ * Las claves que faltan en un catálogo caen al español y, si tampoco están,
+ * se muestra la clave.
+ */
+
+import es from './locales/es.js';
+import en from './locales/en.js';
+
+/** Idiomas soportados. */
+export const LOCALES = Object.freeze({
+  ES: 'es',
+  EN: 'en',
+});
+
+export const DEFAULT_LOCALE = LOCALES.ES;
+
+/** Nombre de cada idioma en sí mismo (selector de idioma). */
+export const LOCALE_NAMES = Object.freeze({
+  [LOCALES.ES]: 'Español',
+  [LOCALES.EN]: 'English',
+});
+
+const CATALOGS = Object.freeze({ [LOCALES.ES]: es, [LOCALES.EN]: en });
+const STORAGE_KEY = 'activsensor.locale';
+
+const listeners = new Set();
+const numberFormats = new Map();
+let currentLocale = initialLocale();
+
+/** Idioma guardado, el del navegador o el por defecto. @private */
+function initialLocale() {
+  try {
+    const stored = globalThis.localStorage?.getItem(STORAGE_KEY);
+    if (CATALOGS[stored]) return stored;
+  } catch {
+    // Almacenamiento bloqueado: se sigue con el navegador
+  }
+  const preferred = globalThis.navigator?.languages ?? [];
+  const match = preferred.map((l) => l.slice(0, 2).toLowerCase()).find((l) => CATALOGS[l]);
+  return match ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Idioma actual.
+ * @returns {string} Uno de LOCALES.
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Cambia el idioma, lo guarda y avisa a los suscriptores.
+ * @param {string} locale - Uno de LOCALES; los no soportados se ignoran.
+ */
+export function setLocale(locale) {
+  if (!CATALOGS[locale] || locale === currentLocale) return;
+  currentLocale = locale;
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Sin almacenamiento el idioma dura hasta recargar
+  }
+  listeners.forEach((fn) => fn(locale));
+}
+
+/**
+ * Suscribe una función a los cambios de idioma.
+ * @param {(locale:string) => void} listener
+ * @returns {() => void} Cancela la suscripción.
+ */
+export function onLocaleChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Formatea un número con los decimales dados según el idioma actual.
+ * @param {number} value
+ * @param {number} [digits] - Decimales fijos; sin él, hasta 3.
+ * @param {string} [locale=getLocale()] - Otro idioma de LOCALES (p.ej. el de la voz).
+ * @returns {string}
+ */
+export function formatNumber(value, digits, locale = currentLocale) {
+  const key = `${locale}:${digits ?? ''}`;
+  if (!numberFormats.has(key)) {
+    numberFormats.set(
+      key,
+      new Intl.NumberFormat(
+        locale,
+        digits == null
+          ? { maximumFractionDigits: 3 }
+          : { minimumFractionDigits: digits, maximumFractionDigits: digits }
+      )
+    );
+  }
+  return numberFormats.get(key).format(value);
+}
+
+/**
+ * Formatea una fecha según el idioma actual.
+ * @param {number|Date} date - Fecha o ms desde epoch.
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatDate(date, options) {
+  return new Date(date).toLocaleString(currentLocale, options);
+}
+
+/**
+ * Mensaje traducido. Los parámetros numéricos se formatean según el idioma.
+ *
+ * @param {string} key - Clave del catálogo.
+ * @param {Object<string, string|number>} [params] - Valores de los {nombre} del mensaje.
+ * @param {string} [locale=getLocale()] - Otro idioma de LOCALES (p.ej. el de la voz).
+ * @returns {string}
+ */
+export function t(key, params = {}, locale = currentLocale) {
+  const text = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value, undefined, locale) : String(value);
+  });
+}
+
+/**
+ * Traduce los textos estáticos: `data-i18n` reemplaza el texto del elemento y
+ * `data-i18n-alt` / `data-i18n-title` los atributos alt / title.
+ * También actualiza el atributo lang del documento.
+ *
+ * @param {ParentNode} [root=document]
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = currentLocale;
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-alt]').forEach((el) => {
+    el.alt = t(el.dataset.i18nAlt);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+}
+
+/**
+ * Llena un <select> con los idiomas y cambia el idioma al elegir uno.
+ * @param {HTMLSelectElement} select
+ */
+export function bindLanguageSelect(select) {
+  select.innerHTML = '';
+  Object.values(LOCALES).forEach((locale) => {
+    const opt = document.createElement('option');
+    opt.value = locale;
+    opt.textContent = LOCALE_NAMES[locale];
+    select.appendChild(opt);
+  });
+  select.value = currentLocale;
+  select.addEventListener('change', () => setLocale(select.value));
+  onLocaleChange((locale) => {
+    select.value = locale;
+  });
+}
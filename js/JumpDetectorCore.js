@@ -0,0 +1,404 @@
+/**
+ * JumpDetectorCore.js
+ * Máquina de estados de detección de saltos, pura (sin DOM ni eventos del navegador).
+ * La usan tanto JumpEventDetector (en vivo, devicemotion) como el análisis
+ * posterior de una captura completa (detectJumps), para que ambos den el mismo resultado.
+ */
+
+import {
+  JUMP_DETECTION_DEFAULTS,
+  SIGNAL_FILTER_DEFAULTS,
+  DEFAULT_SAMPLE_RATE,
+} from './settings.js';
+import { butterworth, CausalFilter, filtfilt } from './SignalFilters.js';
+import { estimateSampleRate } from './Sampling.js';
+import { t } from './I18n.js';
+
+/** Utilidades vectoriales simples */
+function dot(a,b){ return a[0]*b[0]+a[1]*b[1]+a[2]*b[2]; }
+function norm(a){ return Math.hypot(a[0],a[1],a[2]); }
+
+/**
+ * @typedef {Object} CoreSample
+ * @property {number} t  - Timestamp (s).
+ * @property {number} ax - Aceleración X incluida gravedad (m/s^2).
+ * @property {number} ay - Aceleración Y incluida gravedad (m/s^2).
+ * @property {number} az - Aceleración Z incluida gravedad (m/s^2).
+ * @property {number[]} [up] - Eje vertical en ejes del teléfono en este instante
+ *   (ver Orientation.js); si falta se usa el gUnit fijo de la calibración.
+ */
+
+/**
+ * @typedef {Object} CoreStep
+ * @property {number} t - Timestamp (s).
+ * @property {number} aVertRaw - Aceleración vertical dinámica sin filtrar (m/s^2).
+ * @property {number} aVert - Aceleración vertical filtrada (m/s^2).
+ * @property {number} aTotRaw - Magnitud total sin filtrar (m/s^2).
+ * @property {number} aTot - Magnitud total filtrada (m/s^2).
+ * @property {boolean} isFlight - La muestra cumple la heurística de vuelo.
+ * @property {boolean} hasMotion - Hay movimiento en apoyo.
+ * @property {CoreJump|null} jump - Salto completado en esta muestra.
+ */
+
+/**
+ * @typedef {Object} CoreJump
+ * @property {number} tContactStart - Inicio del contacto previo al despegue (s).
+ * @property {number} tTakeoff - Despegue (s).
+ * @property {number} tLanding - Aterrizaje (s); en modo rebote, el inicio de la subida
+ *   hacia el pico de impacto (toma de contacto), nunca después del fin del vuelo.
+ * @property {'movement'|'landing'} contactFrom - Origen del contacto: primer movimiento
+ *   en apoyo, o aterrizaje del salto anterior (rebote).
+ * @property {number} [vContactStart] - Velocidad vertical al inicio del contacto (m/s);
+ *   sólo en rebotes, la de aterrizaje del salto anterior (negativa).
+ */
+
+/** Modos de medición del contacto previo a cada despegue. */
+export const CONTACT_MODES = Object.freeze({
+  MOVEMENT: 'movement', // desde que |a_vert| supera moveThresh (saltos aislados)
+  REBOUND: 'rebound',   // desde el aterrizaje anterior (rebotes, saltos repetidos)
+});
+
+/**
+ * Cascadas Butterworth para a_vert y |a| según los ajustes de filtrado.
+ * El pasa-altos sólo se aplica a a_vert: |a| tiene que conservar la gravedad.
+ *
+ * @param {Object} [filter] - Ver SIGNAL_FILTER_DEFAULTS en settings.js.
+ * @param {number} sampleRate - Hz.
+ * @returns {{ vert: Object[], tot: Object[] }} Secciones (ver SignalFilters.js).
+ */
+export function detectionFilters(filter, sampleRate) {
+  const f = { ...SIGNAL_FILTER_DEFAULTS, ...(filter || {}) };
+  const lowpass = f.lowpassHz > 0 && f.lowpassHz < sampleRate / 2
+    ? butterworth('lowpass', f.order, f.lowpassHz, sampleRate)
+    : [];
+  const highpass = f.highpassHz > 0
+    ? butterworth('highpass', f.order, f.highpassHz, sampleRate)
+    : [];
+  return { vert: [...highpass, ...lowpass], tot: lowpass };
+}
+
+/**
+ * Proyección vertical: componente sobre el eje vertical actual (orientación del
+ * teléfono si está disponible, si no gUnit), sin g; y magnitud total.
+ * @private
+ */
+function projectSample(s, gUnit, g0) {
+  const aVec = [s.ax, s.ay, s.az];
+  return { aVert: dot(aVec, s.up || gUnit) - g0, aTot: norm(aVec) };
+}
+
+/**
+ * Estima g0 y el eje vertical promediando muestras en quietud.
+ *
+ * @param {Array<number[]|{ax:number, ay:number, az:number}>} samples - Vectores [x,y,z] o muestras {ax,ay,az}.
+ * @returns {{ g0:number, gUnit:number[] }}
+ * @throws {Error} Si no hay muestras.
+ */
+export function estimateGravity(samples) {
+  if (!samples.length) throw new Error(`estimateGravity: ${t('error.gravity.noSamples')}`);
+  const sum = [0, 0, 0];
+  for (const s of samples) {
+    const v = Array.isArray(s) ? s : [s.ax, s.ay, s.az];
+    sum[0] += v[0]; sum[1] += v[1]; sum[2] += v[2];
+  }
+  const mean = sum.map((v) => v / samples.length);
+  const g0 = norm(mean);
+  const gUnit = mean.map((v) => v / g0);
+  return { g0, gUnit };
+}
+
+/**
+ * Detector incremental: consume muestras una a una y reporta saltos completos.
+ */
+export class JumpDetectorCore {
+  /**
+   * @param {Object} opts
+   * @param {number[]} opts.gUnit - Vector unitario de gravedad (3).
+   * @param {number}   opts.g0    - Magnitud de gravedad estimada (m/s^2).
+   * @param {Object}   [opts.thresholds] - Umbrales; por defecto JUMP_DETECTION_DEFAULTS (settings.js).
+   * @param {Object}   [opts.filter] - Filtrado; por defecto SIGNAL_FILTER_DEFAULTS (settings.js).
+   * @param {number}   [opts.sampleRate] - Frecuencia de muestreo (Hz) para diseñar los filtros.
+   * @param {'movement'|'rebound'} [opts.contactMode='movement'] - Ver CONTACT_MODES. En modo rebote
+   *   el contacto va del aterrizaje anterior al despegue y el aterrizaje se ajusta a la toma de
+   *   contacto previa al pico de impacto.
+   */
+  constructor(opts) {
+    const thresholds = { ...JUMP_DETECTION_DEFAULTS, ...(opts?.thresholds || {}) };
+    this.gUnit = opts.gUnit;
+    this.g0 = opts.g0;
+    if (!this.gUnit || !this.g0) throw new Error(`JumpDetectorCore: ${t('error.detector.missingGravity')}`);
+
+    this.flightEpsMag = thresholds.flightEpsMag;
+    this.flightEpsVert = thresholds.flightEpsVert;
+    this.moveThresh = thresholds.moveThresh;
+    this.restThresh = thresholds.restThresh;
+    this.minFlight = thresholds.minFlight;
+    this.maxFlight = thresholds.maxFlight;
+    this.minContact = thresholds.minContact;
+    this.maxReboundContact = thresholds.maxReboundContact;
+    this.impactWindow = thresholds.impactWindow;
+    this.contactMode = opts.contactMode || CONTACT_MODES.MOVEMENT;
+
+    const filters = detectionFilters(opts.filter, opts.sampleRate || DEFAULT_SAMPLE_RATE);
+    this._vertFilter = new CausalFilter(filters.vert);
+    this._totFilter = new CausalFilter(filters.tot);
+
+    this.reset();
+  }
+
+  /** Vuelve al estado inicial (sin salto en curso). */
+  reset() {
+    this._vertFilter.reset(0);       // a vertical en reposo
+    this._totFilter.reset(this.g0);  // magnitud total en reposo
+    this._inFlight = false;  // estamos en vuelo
+    this._inMotion = false;  // movimiento en apoyo
+    this._tContactStart = null;
+    this._tTakeoff = null;
+    this._vContactStart = null;
+    this._lastLanding = null;  // {t, v} del último salto válido (modo rebote)
+    this._pending = null;      // aterrizaje esperando el pico de impacto (modo rebote)
+    this._recent = [];         // {t, a} de a_vert sin filtrar, para buscar la toma de contacto
+  }
+
+  /**
+   * Aceleración vertical dinámica y magnitud total de una muestra, sin filtrar.
+   * @param {CoreSample} s
+   * @returns {{ aVert:number, aTot:number }}
+   */
+  project(s) {
+    return projectSample(s, this.gUnit, this.g0);
+  }
+
+  /**
+   * Procesa una muestra con el filtrado causal y avanza la máquina de estados.
+   * @param {CoreSample} s
+   * @returns {CoreStep}
+   */
+  push(s) {
+    const { aVert, aTot } = this.project(s);
+    return this.advance(
+      s.t, aVert, aTot, this._vertFilter.process(aVert), this._totFilter.process(aTot)
+    );
+  }
+
+  /**
+   * Avanza la máquina de estados con valores ya filtrados (p.ej. de fase cero).
+   *
+   * @param {number} t - Timestamp (s).
+   * @param {number} aVertRaw - a_vert sin filtrar (m/s^2).
+   * @param {number} aTotRaw - |a| sin filtrar (m/s^2).
+   * @param {number} aVertF - a_vert filtrada (m/s^2).
+   * @param {number} aTotF - |a| filtrada (m/s^2).
+   * @returns {CoreStep}
+   */
+  advance(t, aVertRaw, aTotRaw, aVertF, aTotF) {
+    // Heurística de vuelo: |a_tot - g0| pequeño y |a_vert| pequeño
+    const isFlight = (Math.abs(aTotF - this.g0) < this.flightEpsMag) &&
+                     (Math.abs(aVertF) < this.flightEpsVert);
+    // Movimiento en apoyo (pre-salto): |a_vert| excede moveThresh
+    const hasMotion = Math.abs(aVertF) > this.moveThresh;
+
+    if (this.contactMode === CONTACT_MODES.REBOUND) {
+      // Cubre la ventana de impacto tras el aterrizaje y la búsqueda hacia atrás desde el pico
+      this._recent.push({ t, a: aVertRaw });
+      while (t - this._recent[0].t > 3 * this.impactWindow) this._recent.shift();
+    }
+
+    let jump = null;
+    if (this._pending) {
+      // Modo rebote: buscamos el pico de impacto en la ventana tras el aterrizaje
+      if (t - this._pending.tLanding <= this.impactWindow && !isFlight) {
+        if (aVertRaw > this._pending.peakA) {
+          this._pending.peakA = aVertRaw;
+          this._pending.peakT = t;
+        }
+      } else {
+        jump = this.flush();
+      }
+    }
+
+    if (!this._inFlight) {
+      if (hasMotion && !this._inMotion) {
+        // Inicio de contacto previo al salto (primera activación)
+        this._inMotion = true;
+        this._tContactStart = t;
+      }
+      if (isFlight) {
+        // Transición a vuelo -> DESPEGUE
+        this._inFlight = true;
+        this._tTakeoff = t;
+        this._vContactStart = null;
+        const last = this._lastLanding;
+        if (this.contactMode === CONTACT_MODES.REBOUND && last &&
+            t - last.t <= this.maxReboundContact) {
+          // Rebote: el contacto empieza al aterrizar del salto anterior
+          this._tContactStart = last.t;
+          this._vContactStart = last.v;
+        } else if (this._tContactStart == null) {
+          // Si no teníamos contacto marcado, ventana mínima hacia atrás (200 ms)
+          this._tContactStart = Math.max(0, t - 0.20);
+        }
+      }
+    } else if (!isFlight) {
+      // Salimos de vuelo -> ATERRIZAJE
+      this._inFlight = false;
+      this._inMotion = false;
+      const candidate = {
+        tContactStart: this._tContactStart,
+        tTakeoff: this._tTakeoff,
+        tLanding: t,
+        contactFrom: this._vContactStart == null ? 'movement' : 'landing',
+      };
+      if (this._vContactStart != null) candidate.vContactStart = this._vContactStart;
+      if (this.contactMode === CONTACT_MODES.REBOUND) {
+        // Se confirma cuando termina la ventana de impacto (ver flush)
+        this._pending = { ...candidate, peakA: aVertRaw, peakT: t };
+      } else if (this._isValid(candidate)) {
+        jump = candidate;
+      }
+      this._tContactStart = null;
+      this._tTakeoff = null;
+      this._vContactStart = null;
+    }
+
+    return {
+      t, aVertRaw, aVert: aVertF,
+      aTotRaw, aTot: aTotF, isFlight, hasMotion, jump,
+    };
+  }
+
+  /**
+   * Cierra el aterrizaje pendiente del modo rebote (fin de la ventana de impacto
+   * o fin de la captura). El pico de impacto sólo sirve para ubicar la toma de
+   * contacto: el aterrizaje (y el contacto del salto siguiente) pasa al inicio
+   * de la subida hacia el pico, sin alargar nunca el vuelo detectado.
+   * @returns {CoreJump|null} El salto si es válido.
+   */
+  flush() {
+    const p = this._pending;
+    if (!p) return null;
+    this._pending = null;
+    const { peakA, peakT, ...jump } = p;
+    jump.tLanding = Math.min(jump.tLanding, this._touchdownBefore(peakT, jump.tTakeoff));
+    if (!this._isValid(jump)) return null;
+    // Velocidad de aterrizaje por vuelo balístico: -g·tf/2
+    this._lastLanding = {
+      t: jump.tLanding,
+      v: (-this.g0 * (jump.tLanding - jump.tTakeoff)) / 2,
+    };
+    return jump;
+  }
+
+  /**
+   * Toma de contacto: desde el pico de impacto hacia atrás mientras a_vert siga
+   * bajando, hasta impactWindow antes del pico y nunca antes del despegue.
+   * @private
+   */
+  _touchdownBefore(peakT, tTakeoff) {
+    const recent = this._recent;
+    let i = recent.findIndex((s) => s.t === peakT);
+    if (i < 0) return peakT;
+    const tMin = Math.max(tTakeoff, peakT - this.impactWindow);
+    while (i > 0 && recent[i - 1].t >= tMin && recent[i - 1].a <= recent[i].a) i--;
+    return recent[i].t;
+  }
+
+  /** Vuelo y contacto dentro de los límites. @private */
+  _isValid(jump) {
+    const tf = jump.tLanding - jump.tTakeoff;
+    const tc = jump.tTakeoff - (jump.tContactStart ?? jump.tTakeoff);
+    return tf >= this.minFlight && tf <= this.maxFlight && tc >= this.minContact;
+  }
+}
+
+/**
+ * @typedef {Object} CaptureAnalysis
+ * @property {CoreJump[]} events - Saltos (s desde la primera muestra).
+ * @property {Array<{t:number, aVert:number, aTot:number}>} trace - a_vert dinámica y |a| sin filtrar por muestra.
+ * @property {number} g0 - Gravedad estimada (m/s^2).
+ * @property {number[]} gUnit - Eje vertical estimado.
+ */
+
+/**
+ * Análisis por lotes de una captura completa. Calibra con los primeros `calibMs`
+ * (el atleta quieto tras la cuenta regresiva), filtra a_vert y |a| con fase cero
+ * y pasa todas las muestras por la máquina de estados de JumpDetectorCore.
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number, up?:number[]}>} samples - Muestras con t en ms
+ *   (con `up` por muestra si se conoce la orientación, ver attachVerticalAxis en Orientation.js).
+ * @param {Object} [opts] - Umbrales a sobrescribir (ver JUMP_DETECTION_DEFAULTS), `calibMs`,
+ *   `filter` (ver SIGNAL_FILTER_DEFAULTS) y `contactMode` (ver CONTACT_MODES).
+ * @returns {CaptureAnalysis}
+ */
+export function analyzeCapture(samples, opts = {}) {
+  if (!samples.length) return { events: [], trace: [], g0: null, gUnit: null };
+  const { calibMs, filter, contactMode, ...thresholds } = { ...JUMP_DETECTION_DEFAULTS, ...opts };
+  const c = conditionCapture(samples, { calibMs, filter });
+  const core = new JumpDetectorCore({
+    g0: c.g0, gUnit: c.gUnit, thresholds, filter, sampleRate: c.sampleRate, contactMode,
+  });
+
+  const events = [];
+  const trace = [];
+  c.t.forEach((t, i) => {
+    const step = core.advance(t, c.aVertRaw[i], c.aTotRaw[i], c.aVert[i], c.aTot[i]);
+    trace.push({ t: step.t, aVert: step.aVertRaw, aTot: step.aTotRaw });
+    if (step.jump) events.push(step.jump);
+  });
+  const last = core.flush();
+  if (last) events.push(last);
+  return { events, trace, g0: c.g0, gUnit: c.gUnit };
+}
+
+/**
+ * @typedef {Object} ConditionedCapture
+ * @property {number[]} t - Timestamps (s desde la primera muestra).
+ * @property {number[]} aVertRaw - a_vert dinámica sin filtrar (m/s^2).
+ * @property {number[]} aTotRaw - |a| sin filtrar (m/s^2).
+ * @property {number[]} aVert - a_vert filtrada con fase cero (m/s^2).
+ * @property {number[]} aTot - |a| filtrada con fase cero (m/s^2).
+ * @property {number} g0 - Gravedad estimada (m/s^2).
+ * @property {number[]} gUnit - Eje vertical estimado.
+ * @property {number} sampleRate - Frecuencia de muestreo estimada (Hz).
+ */
+
+/**
+ * Calibración, proyección y filtrado de fase cero de una captura completa: las
+ * señales que analyzeCapture pasa a la máquina de estados.
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number, up?:number[]}>} samples - t en ms, no vacío.
+ * @param {Object} [opts]
+ * @param {number} [opts.calibMs] - Ventana inicial de calibración (ms); por defecto la de settings.js.
+ * @param {Object} [opts.filter] - Ver SIGNAL_FILTER_DEFAULTS.
+ * @returns {ConditionedCapture}
+ */
+export function conditionCapture(samples, { calibMs = JUMP_DETECTION_DEFAULTS.calibMs, filter } = {}) {
+  const t0 = samples[0].t;
+  const { g0, gUnit } = estimateGravity(samples.filter((s) => s.t - t0 <= calibMs));
+  const sampleRate = estimateSampleRate(samples.map((s) => s.t)) || DEFAULT_SAMPLE_RATE;
+  const raw = samples.map((s) => projectSample(s, gUnit, g0));
+  const aVertRaw = raw.map((r) => r.aVert);
+  const aTotRaw = raw.map((r) => r.aTot);
+  const filters = detectionFilters(filter, sampleRate);
+  return {
+    t: samples.map((s) => (s.t - t0) / 1000),
+    aVertRaw,
+    aTotRaw,
+    aVert: filtfilt(filters.vert, aVertRaw),
+    aTot: filtfilt(filters.tot, aTotRaw),
+    g0,
+    gUnit,
+    sampleRate,
+  };
+}
+
+/**
+ * Igual que analyzeCapture pero devuelve sólo los eventos.
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number}>} samples - Muestras con t en ms.
+ * @param {Object} [opts] - Ver analyzeCapture.
+ * @returns {Array<{tContactStart:number, tTakeoff:number, tLanding:number}>} Eventos en segundos desde la primera muestra.
+ */
+export function detectJumps(samples, opts = {}) {
+  return analyzeCapture(samples, opts).events;
+}
@@ -11,13 +11,14 @@
  *  5) det.stop();
  */
 
-const G_STD = 9.80665;
+import { JumpDetectorCore } from './JumpDetectorCore.js';
+import { takeoffVelocityFromImpulse, heightFromTakeoffVelocity } from './JumpMetrics.js';
+import { upAxisFromEuler } from './Orientation.js';
+import { normalizeTimestamp } from './Sampling.js';
+import { StillnessCalibrator, CALIBRATION_STATES } from './Calibration.js';
+import { t } from './I18n.js';
 
-/** Utilidades vectoriales simples */
-function dot(a,b){ return a[0]*b[0]+a[1]*b[1]+a[2]*b[2]; }
-function norm(a){ return Math.hypot(a[0],a[1],a[2]); }
-function scale(a,k){ return [a[0]*k,a[1]*k,a[2]*k]; }
-function add(a,b){ return [a[0]+b[0],a[1]+b[1],a[2]+b[2]]; }
+const G_STD = 9.80665;
 
 /**
  * @typedef {Object} JumpEventTimes
@@ -32,8 +33,13 @@ function add(a,b){ return [a[0]+b[0],a[1]+b[1],a[2]+b[2]]; }
  * @property {number} h  - Altura (m), por modelo balístico h = g*tf^2/8.
  * @property {number} tc - Tiempo de contacto previo al salto (s).
  * @property {number} rsi - RSI clásico (m/s) = h / tc.
+ * @property {number|null} [vTakeoff] - Velocidad de despegue por impulso-momento (m/s).
+ * @property {number|null} [hImpulse] - Altura por impulso-momento (m) = vTakeoff^2 / 2g.
  */
 
+/** Historial de a_vert que se conserva para integrar la fase propulsiva (s). */
+const TRACE_WINDOW_S = 4;
+
 /**
  * Solicita permiso para acceder a sensores de movimiento (iOS).
  * Llamar tras un gesto de usuario (tap/click).
@@ -43,7 +49,7 @@ export async function requestMotionPermission() {
   if (typeof DeviceMotionEvent !== 'undefined' &&
       typeof DeviceMotionEvent.requestPermission === 'function') {
     const p = await DeviceMotionEvent.requestPermission();
-    if (p !== 'granted') throw new Error('Permiso de motion denegado.');
+    if (p !== 'granted') throw new Error(t('error.detector.motionDenied'));
   }
 }
 
@@ -57,49 +63,44 @@ export class JumpEventDetector {
    * @param {number}   opts.g0    - Magnitud de gravedad estimada (m/s^2), ~9.81.
    * @param {(evt: JumpEventTimes, metrics?: JumpMetrics) => void} [opts.onJump] - Callback al detectar un salto completo.
    * @param {(sample: object) => void} [opts.onSample] - Callback opcional por muestra (debug/registro).
-   * @param {boolean} [opts.computeMetrics=true] - Si true, calcula {tf,h,tc,rsi} y los pasa al callback.
-   * @param {Object}  [opts.thresholds] - Ajustes de detección (ver defaults).
-   * @param {number}  [opts.thresholds.flightEpsMag=0.5] - Tolerancia (m/s^2) de |a_tot|-g0 para considerar vuelo.
-   * @param {number}  [opts.thresholds.flightEpsVert=0.6] - Tolerancia (m/s^2) de |a_vert| en vuelo.
-   * @param {number}  [opts.thresholds.moveThresh=1.2] - Umbral (m/s^2) de |a_vert| para declarar “hay movimiento en apoyo”.
-   * @param {number}  [opts.thresholds.restThresh=0.4] - Por debajo de esto (|a_vert|) consideramos “casi quieto”.
-   * @param {number}  [opts.thresholds.minFlight=0.10] - Vuelo mínimo válido (s).
-   * @param {number}  [opts.thresholds.maxFlight=1.20] - Vuelo máximo plausible (s).
-   * @param {number}  [opts.thresholds.minContact=0.08] - Contacto mínimo válido (s).
-   * @param {number}  [opts.alpha=0.2] - Smoothing EMA para a_vert y a_tot (0–1).
+   * @param {boolean} [opts.computeMetrics=true] - Si true, calcula {tf,h,tc,rsi,vTakeoff,hImpulse} y los pasa al callback.
+   * @param {Object}  [opts.thresholds] - Ajustes de detección; los que falten se toman de
+   *   JUMP_DETECTION_DEFAULTS en settings.js (flightEpsMag, flightEpsVert, moveThresh,
+   *   restThresh, minFlight, maxFlight, minContact).
+   * @param {Object}  [opts.filter] - Filtrado Butterworth causal de a_vert y a_tot; lo que falte se
+   *   toma de SIGNAL_FILTER_DEFAULTS en settings.js (order, lowpassHz, highpassHz).
+   * @param {number}  [opts.sampleRate] - Frecuencia de muestreo esperada (Hz); por defecto
+   *   DEFAULT_SAMPLE_RATE de settings.js.
+   * @param {'movement'|'rebound'} [opts.contactMode='movement'] - Medición del contacto (ver
+   *   CONTACT_MODES en JumpDetectorCore.js); 'rebound' para drop jumps y saltos repetidos.
+   * @param {boolean} [opts.trackOrientation=true] - Si true, start() también escucha deviceorientation
+   *   y proyecta cada muestra sobre el eje vertical actual en vez del gUnit fijo.
    */
   constructor(opts) {
-    const t = opts?.thresholds || {};
+    if (!opts?.gUnit || !opts?.g0) throw new Error(t('error.detector.notCalibrated'));
     this.gUnit = opts.gUnit;
     this.g0    = opts.g0;
-    if (!this.gUnit || !this.g0) throw new Error('Faltan gUnit/g0. Ejecutá calibrate() primero.');
     this.onJump = typeof opts.onJump === 'function' ? opts.onJump : () => {};
     this.onSample = typeof opts.onSample === 'function' ? opts.onSample : null;
     this.computeMetrics = opts.computeMetrics !== false;
 
-    // thresholds
-    this.flightEpsMag = t.flightEpsMag ?? 0.5;
-    this.flightEpsVert = t.flightEpsVert ?? 0.6;
-    this.moveThresh = t.moveThresh ?? 1.2;
-    this.restThresh = t.restThresh ?? 0.4;
-    this.minFlight = t.minFlight ?? 0.10;
-    this.maxFlight = t.maxFlight ?? 1.20;
-    this.minContact = t.minContact ?? 0.08;
-
-    this.alpha = opts.alpha ?? 0.2;
+    // Máquina de estados compartida con el análisis por lotes
+    this._core = new JumpDetectorCore({
+      gUnit: this.gUnit,
+      g0: this.g0,
+      thresholds: opts.thresholds,
+      filter: opts.filter,
+      sampleRate: opts.sampleRate,
+      contactMode: opts.contactMode,
+    });
 
     this._handler = this._onMotion.bind(this);
+    this._orientationHandler = this._onOrientation.bind(this);
+    this.trackOrientation = opts.trackOrientation !== false;
+    this._up = null;     // eje vertical actual en ejes del teléfono
     this._running = false;
-
-    // Estado
-    this._aVertEma = 0;      // a vertical filtrada (m/s^2)
-    this._aTotEma  = this.g0;// magnitud total filtrada (m/s^2)
-    this._lastTs   = null;   // último timestamp (ms)
-    this._inFlight = false;  // estamos en vuelo
-    this._inMotion = false;  // movimiento en apoyo
-    this._tContactStart = null;
-    this._tTakeoff = null;
-    this._tLanding = null;
+    this._lastTs = null; // último timestamp (ms)
+    this._trace = [];    // a_vert reciente {t, aVert} para impulso-momento
   }
 
   /**
@@ -108,6 +109,9 @@ export class JumpEventDetector {
   start() {
     if (this._running) return;
     window.addEventListener('devicemotion', this._handler, { passive: true });
+    if (this.trackOrientation) {
+      window.addEventListener('deviceorientation', this._orientationHandler);
+    }
     this._running = true;
   }
 
@@ -117,99 +121,74 @@ export class JumpEventDetector {
   stop() {
     if (!this._running) return;
     window.removeEventListener('devicemotion', this._handler);
+    window.removeEventListener('deviceorientation', this._orientationHandler);
     this._running = false;
+    this._up = null;
+  }
+
+  /**
+   * Procesa una muestra externa sin escuchar devicemotion
+   * (p.ej. reproducción de una captura grabada).
+   * @param {{t:number, ax:number, ay:number, az:number, up?:number[]}} sample - t en ms, aceleraciones
+   *   con gravedad (m/s^2) y, opcionalmente, el eje vertical de ese instante.
+   */
+  feed(sample) {
+    this._onMotion({
+      timeStamp: sample.t,
+      accelerationIncludingGravity: { x: sample.ax, y: sample.ay, z: sample.az },
+      up: sample.up,
+    });
+  }
+
+  /**
+   * Handler de deviceorientation: actualiza el eje vertical actual.
+   * @param {DeviceOrientationEvent} e
+   * @private
+   */
+  _onOrientation(e) {
+    if (e.beta == null || e.gamma == null) return;
+    this._up = upAxisFromEuler(e.beta, e.gamma);
   }
 
   /**
-   * Handler de devicemotion: filtra, proyecta y evalúa estado.
+   * Handler de devicemotion: delega en JumpDetectorCore y emite los saltos.
    * @param {DeviceMotionEvent} e
    * @private
    */
   _onMotion(e) {
-    const tMs = e.timeStamp;                 // ms desde navigationStart
-    const t = tMs / 1000;                    // segundos
+    const tMs = normalizeTimestamp(e.timeStamp); // ms desde timeOrigin
     const acc = e.accelerationIncludingGravity || e.acceleration;
     if (!acc) return;
 
-    // Vector de aceleración total (incluida gravedad)
-    const aVec = [acc.x || 0, acc.y || 0, acc.z || 0];
-
-    // Proyección vertical: componente sobre el eje gUnit
-    const aVertInc = dot(aVec, this.gUnit);     // incluye g
-    const aVert = aVertInc - this.g0;           // le quito g -> aceleración vertical "dinámica"
-    const aTot = norm(aVec);                    // magnitud total (incluye g)
-
-    // Filtrado EMA
-    const a = this.alpha;
-    this._aVertEma = a * aVert + (1 - a) * this._aVertEma;
-    this._aTotEma  = a * aTot  + (1 - a) * this._aTotEma;
-
-    // Heurística de vuelo: |a_tot - g0| pequeño y |a_vert| pequeño
-    const isFlight = (Math.abs(this._aTotEma - this.g0) < this.flightEpsMag) &&
-                     (Math.abs(this._aVertEma) < this.flightEpsVert);
-
-    // Movimiento en apoyo (pre-salto): |a_vert| excede moveThresh
-    const hasMotion = Math.abs(this._aVertEma) > this.moveThresh;
+    const step = this._core.push({
+      t: tMs / 1000,                         // segundos
+      ax: acc.x || 0,
+      ay: acc.y || 0,
+      az: acc.z || 0,
+      up: e.up || this._up || undefined,
+    });
 
     // Debug opcional
     if (this.onSample) {
-      this.onSample({
-        t, aVertRaw: aVert, aVert: this._aVertEma,
-        aTotRaw: aTot, aTot: this._aTotEma, isFlight, hasMotion
-      });
+      const { jump, ...sample } = step;
+      this.onSample(sample);
     }
 
-    // Estado: detección de contacto/despegue/aterrizaje
-    if (!this._inFlight) {
-      // No estamos en vuelo
-      if (hasMotion && !this._inMotion) {
-        // Inicio de contacto previo al salto (primera activación)
-        this._inMotion = true;
-        this._tContactStart = t;
-      }
-
-      if (isFlight) {
-        // Transición a vuelo -> DESPEGUE
-        this._inFlight = true;
-        this._tTakeoff = t;
-        // Si no teníamos contacto marcado, marcamos una ventana mínima hacia atrás
-        if (this._tContactStart == null) {
-          this._tContactStart = Math.max(0, t - 0.20); // fallback 200 ms
-        }
-      }
-    } else {
-      // Estamos en vuelo
-      if (!isFlight) {
-        // Salimos de vuelo -> ATERRIZAJE
-        this._inFlight = false;
-        this._inMotion = false; // reseteamos movimiento
-        this._tLanding = t;
-
-        // Validaciones mínimas
-        const tf = this._tLanding - this._tTakeoff;
-        const tc = this._tTakeoff - (this._tContactStart ?? this._tTakeoff);
-        const flightOk = tf >= this.minFlight && tf <= this.maxFlight;
-        const contactOk = tc >= this.minContact;
-
-        if (flightOk && contactOk) {
-          const evt = {
-            tContactStart: this._tContactStart,
-            tTakeoff: this._tTakeoff,
-            tLanding: this._tLanding,
-          };
-          let metrics;
-          if (this.computeMetrics) {
-            metrics = JumpEventDetector.computeMetrics(evt);
-          }
-            // Emitimos el salto completo
-          this.onJump(evt, metrics);
-        }
+    this._trace.push({ t: step.t, aVert: step.aVertRaw });
+    while (this._trace.length && step.t - this._trace[0].t > TRACE_WINDOW_S) {
+      this._trace.shift();
+    }
 
-        // Reset para próximo salto
-        this._tContactStart = null;
-        this._tTakeoff = null;
-        this._tLanding = null;
+    if (step.jump) {
+      let metrics;
+      if (this.computeMetrics) {
+        metrics = {
+          ...JumpEventDetector.computeMetrics(step.jump),
+          ...JumpEventDetector.computeImpulseMetrics(this._trace, step.jump),
+        };
       }
+      // Emitimos el salto completo
+      this.onJump(step.jump, metrics);
     }
 
     this._lastTs = tMs;
@@ -230,43 +209,66 @@ export class JumpEventDetector {
   }
 
   /**
-   * Calibración: promedia 2s (por defecto) en quietud para estimar g0 y gUnit.
+   * Altura por impulso-momento a partir de la traza de a_vert.
+   * Devuelve null en ambos campos si la fase propulsiva no permite estimarla.
+   * @param {Array<{t:number, aVert:number}>} trace
+   * @param {JumpEventTimes} evt
+   * @param {number} [g=G_STD]
+   * @returns {{ vTakeoff:number|null, hImpulse:number|null }}
+   */
+  static computeImpulseMetrics(trace, evt, g = G_STD) {
+    try {
+      const vTakeoff = takeoffVelocityFromImpulse(trace, evt);
+      return { vTakeoff, hImpulse: heightFromTakeoffVelocity(vTakeoff, g) };
+    } catch (err) {
+      return { vTakeoff: null, hImpulse: null };
+    }
+  }
+
+  /**
+   * Calibración verificada en quietud (ver Calibration.js): estima g0 y gUnit
+   * con los últimos `ms` (2 s por defecto) en los que |a| no varió más que
+   * restThresh. Si el atleta se mueve, la ventana vuelve a empezar.
    * @param {Object} [opts]
-   * @param {number} [opts.ms=2000] - Duración de calibración en milisegundos.
-   * @returns {Promise<{ g0:number, gUnit:number[] }>}
+   * @param {number} [opts.ms=2000] - Duración de la ventana quieta en milisegundos.
+   * @param {number} [opts.restThresh] - Desvío máximo de |a| en quietud; por defecto el de settings.js.
+   * @param {number} [opts.maxMs=15000] - Tiempo máximo para lograr la ventana quieta.
+   * @param {(status:Object) => void} [opts.onProgress] - Estado tras cada muestra (CalibrationStatus).
+   * @returns {Promise<{ g0:number, gUnit:number[], stats:Object }>}
    */
   static async calibrate(opts = {}) {
-    const ms = opts.ms ?? 2000;
+    const calibrator = new StillnessCalibrator({
+      ms: opts.ms ?? 2000,
+      restThresh: opts.restThresh,
+      maxMs: opts.maxMs,
+    });
     await requestMotionPermission();
 
     return new Promise((resolve, reject) => {
-      const samples = [];
-      const t0 = performance.now();
-
       function onCalib(e) {
         const acc = e.accelerationIncludingGravity || e.acceleration;
         if (!acc) return;
-        samples.push([acc.x || 0, acc.y || 0, acc.z || 0]);
-
-        if (performance.now() - t0 >= ms) {
-          window.removeEventListener('devicemotion', onCalib);
-
-          if (samples.length < 10) {
-            reject(new Error('Calibración insuficiente: muy pocas muestras.'));
-            return;
-          }
-          // Media
-          const sum = samples.reduce((s,v)=> add(s,v), [0,0,0]);
-          const mean = scale(sum, 1 / samples.length);
-          const g0 = norm(mean);
-          if (g0 < 5 || g0 > 15) {
-            // chequeo simple de plausibilidad
-            reject(new Error('Valor de gravedad fuera de rango, repetí la calibración.'));
-            return;
-          }
-          const gUnit = scale(mean, 1 / g0);
-          resolve({ g0, gUnit });
+        const status = calibrator.push({
+          t: normalizeTimestamp(e.timeStamp),
+          ax: acc.x || 0,
+          ay: acc.y || 0,
+          az: acc.z || 0,
+        });
+        if (typeof opts.onProgress === 'function') opts.onProgress(status);
+        if (status.state === CALIBRATION_STATES.CALIBRATING) return;
+        window.removeEventListener('devicemotion', onCalib);
+
+        if (status.state === CALIBRATION_STATES.FAILED) {
+          reject(new Error(t('error.detector.notStill')));
+          return;
         }
+        const { g0 } = status.result;
+        if (g0 < 5 || g0 > 15) {
+          // chequeo simple de plausibilidad
+          reject(new Error(t('error.detector.gravityOutOfRange')));
+          return;
+        }
+        resolve(status.result);
       }
 
       window.addEventListener('devicemotion', onCalib, { passive: true });
@@ -280,8 +282,11 @@ import { JumpEventDetector, requestMotionPermission } from './JumpEventDetector.
 // 1) (opcional) Pedir permiso tras un tap
 await requestMotionPermission();
 
-// 2) Calibrar 2 s estando quieto
-const { g0, gUnit } = await JumpEventDetector.calibrate({ ms: 2000 });
+// 2) Calibrar 2 s estando quieto (se reinicia si hay movimiento)
+const { g0, gUnit, stats } = await JumpEventDetector.calibrate({
+  ms: 2000,
+  onProgress: ({ progress, still }) => console.log(progress, still),
+});
 
 // 3) Crear detector
 const det = new JumpEventDetector({
@@ -289,15 +294,14 @@ const det = new JumpEventDetector({
   computeMetrics: true,
   onJump: (evt, metrics) => {
     console.log('SALTO:', evt, metrics);
-    // { tf, h, tc, rsi } disponibles si computeMetrics = true
+    // { tf, h, tc, rsi, vTakeoff, hImpulse } disponibles si computeMetrics = true
   },
   onSample: null, // o (s) => console.log(s) para debug
   thresholds: {
-    // Ajustá si hace falta para tu device/atleta:
+    // Ajustá si hace falta para tu device/atleta (defaults en settings.js):
     // flightEpsMag: 0.5, flightEpsVert: 0.6, moveThresh: 1.2, restThresh: 0.4,
     // minFlight: 0.10, maxFlight: 1.20, minContact: 0.08
   },
-  alpha: 0.2
 });
 
 // 4) Empezar a escuchar (podés atarlo al doble toque que ya tenés)
@@ -0,0 +1,335 @@
+/**
+ * JumpExport.js
+ * Exportación de capturas y resultados de salto a CSV y JSON.
+ *
+ * Formato JSON (versionado):
+ * {
+ *   format: 'activsensor-capture',   // identificador fijo del formato
+ *   version: 1,                      // se incrementa ante cambios incompatibles
+ *   exportedAt: '2024-01-01T10:00:00.000Z',
+ *   createdAt: '2024-01-01T09:58:12.000Z',  // fecha de la captura
+ *   protocol: 'cmj',                 // id del protocolo (JumpProtocols.js) o null
+ *   bodyMass: 72.5,                  // masa corporal (kg) o null
+ *   athlete: { id, name, bodyMass, height, sex, sport, dominantLeg } | null,  // perfil al capturar
+ *   settings: { ... },               // ajustes de sensor/detección usados
+ *   motion: [{ t, ax, ay, az, mag, gx?, gy?, gz? }],  // t en ms, aceleraciones en m/s^2,
+ *                                    // giroscopio opcional en rad/s (ejes del teléfono)
+ *   orientation: [{ t, alpha, beta, gamma }], // t en ms, ángulos en grados
+ *   jumps: [{ tf, h, hImpulse, vTakeoff, tc, rsi, evt: { tContactStart, tTakeoff, tLanding, manual? } }],
+ *     // tf/tc en s, h/hImpulse en m, vTakeoff/rsi en m/s; hImpulse/vTakeoff pueden ser null.
+ *     // evt.manual = true si los eventos se corrigieron o agregaron a mano.
+ *     // settings.heightMethods indica el estimador de cada altura:
+ *     // { h: 'flight-time', hImpulse: 'impulse-momentum' }
+ *     // Con masa corporal, cada salto trae además `kinetics` (null si no hay masa):
+ *     // { peakForce, meanForce (N), peakPower, meanPower, sayersPeakPower,
+ *     //   harmanPeakPower, harmanMeanPower (W) }
+ *     // y `quality` (null en sesiones anteriores): { score, valid, issues: [{ type, severity, message, messageKey, params }] }
+ *   summary: { count, duration, cadence, stats } | null  // duration en s, cadence en saltos/min
+ *     // stats: { h, tc, rsi: { best, mean, sd, cv } | null,
+ *     //          fatigue: { n, heightDrop, rsiDrop, heightDecrement, rsiDecrement } | null }
+ *     // (cv y fatiga en %, ver seriesStats en JumpMetrics.js)
+ *   sampling: { count, duration, rate, meanRate, jitter, gaps, missing } | null
+ *     // entrega real de las muestras (ver samplingStats en Sampling.js); duration/jitter en ms,
+ *     // rate en Hz, gaps: [{ start, end, duration, missing }]
+ *   quality: { score, issues, jumps } | null
+ *     // calidad de señal de la captura (ver assessCaptureQuality en SignalQuality.js)
+ *   editedAt: '2024-01-01T10:05:00.000Z' | null,  // última corrección manual de eventos
+ *   calibration: { samples, duration, std, maxDeviation, restarts, elapsed } | null
+ *     // calibración verificada en quietud (ver Calibration.js); duration/elapsed en ms, std en m/s^2
+ * }
+ *
+ * El JSON va siempre en SI para poder reimportarlo. Los CSV de saltos y de
+ * resumen usan las unidades elegidas (Units.js) y las indican en cada columna,
+ * p.ej. h_cm, tc_ms, rsi_ratio.
+ */
+
+import { seriesStats } from './JumpMetrics.js';
+import { QUANTITIES, SI_UNITS, convert, rsiOf, withDisplayRsi } from './Units.js';
+import { zipTextFiles } from './ZipArchive.js';
+
+export const EXPORT_FORMAT = 'activsensor-capture';
+export const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} CaptureExport
+ * @property {string} format - Siempre EXPORT_FORMAT.
+ * @property {number} version - Versión del formato (EXPORT_VERSION).
+ * @property {string} exportedAt - Fecha ISO de la exportación.
+ * @property {string|null} createdAt - Fecha ISO de la captura.
+ * @property {string|null} protocol - Id del protocolo de test usado.
+ * @property {number|null} bodyMass - Masa corporal (kg).
+ * @property {Object|null} athlete - Perfil del atleta evaluado.
+ * @property {Object} settings - Ajustes usados en la captura.
+ * @property {Array<{t:number, ax:number, ay:number, az:number, mag:number}>} motion
+ * @property {Array<{t:number, alpha:number, beta:number, gamma:number}>} orientation
+ * @property {Array<{tf:number, h:number, hImpulse:number|null, vTakeoff:number|null, tc:number, rsi:number, evt:Object}>} jumps
+ * @property {{count:number, duration:number, cadence:number, stats:Object|null}|null} summary
+ * @property {Object|null} sampling - Entrega real de las muestras (samplingStats en Sampling.js).
+ * @property {Object|null} quality - Calidad de señal (assessCaptureQuality en SignalQuality.js).
+ * @property {Object|null} calibration - Estadísticas de la calibración en quietud (Calibration.js).
+ * @property {string|null} editedAt - Fecha ISO de la última corrección manual de eventos.
+ */
+
+/**
+ * Construye el objeto JSON exportable a partir de una sesión guardada.
+ *
+ * @param {Object} session - Sesión (ver SessionStore.js).
+ * @returns {CaptureExport}
+ */
+export function buildCaptureJson(session) {
+  const summary = session.summary
+    ? {
+        count: session.summary.count,
+        duration: session.summary.duration,
+        cadence: session.summary.cadence,
+        stats: session.summary.stats ?? null,
+      }
+    : null;
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    createdAt: session.createdAt ? new Date(session.createdAt).toISOString() : null,
+    protocol: session.protocol ?? null,
+    bodyMass: session.bodyMass ?? null,
+    athlete: session.athlete
+      ? {
+          id: session.athlete.id,
+          name: session.athlete.name,
+          bodyMass: session.athlete.bodyMass ?? null,
+          height: session.athlete.height ?? null,
+          sex: session.athlete.sex ?? null,
+          sport: session.athlete.sport ?? '',
+          dominantLeg: session.athlete.dominantLeg ?? null,
+        }
+      : null,
+    settings: session.settings || {},
+    motion: session.motionData || [],
+    orientation: session.orientationData || [],
+    jumps: (session.items || []).map(({ tf, h, hImpulse, vTakeoff, tc, rsi, kinetics, quality, evt }) => ({
+      tf,
+      h,
+      hImpulse: hImpulse ?? null,
+      vTakeoff: vTakeoff ?? null,
+      tc,
+      rsi,
+      kinetics: kinetics ?? null,
+      quality: quality ?? null,
+      evt,
+    })),
+    summary,
+    sampling: session.sampling ?? null,
+    quality: session.quality ?? null,
+    calibration: session.calibration ?? null,
+    editedAt: session.editedAt ? new Date(session.editedAt).toISOString() : null,
+  };
+}
+
+/** Escapa un valor para una celda CSV. */
+function csvCell(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Convierte filas (arreglos) en texto CSV con encabezado.
+ * @param {string[]} header
+ * @param {Array<Array<any>>} rows
+ * @returns {string}
+ */
+export function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * CSV de muestras de aceleración.
+ * @param {Array<{t:number, ax:number, ay:number, az:number, mag:number}>} motionData
+ * @returns {string}
+ */
+export function motionToCsv(motionData) {
+  return toCsv(
+    ['t_ms', 'ax', 'ay', 'az', 'mag'],
+    motionData.map((s) => [s.t, s.ax, s.ay, s.az, s.mag])
+  );
+}
+
+/**
+ * CSV de muestras de orientación.
+ * @param {Array<{t:number, alpha:number, beta:number, gamma:number}>} orientationData
+ * @returns {string}
+ */
+export function orientationToCsv(orientationData) {
+  return toCsv(
+    ['t_ms', 'alpha', 'beta', 'gamma'],
+    orientationData.map((s) => [s.t, s.alpha, s.beta, s.gamma])
+  );
+}
+
+/** Sufijo de columna CSV para la unidad elegida de una magnitud ('m/s' -> 'm_s'). */
+function csvUnit(quantity, units) {
+  return units[quantity].replace('/', '_');
+}
+
+/**
+ * CSV con una fila por salto. Los instantes de los eventos van siempre en s.
+ * @param {Array<{tf:number, h:number, hImpulse?:number|null, vTakeoff?:number|null, tc:number, rsi:number, evt:Object}>} items
+ * @param {Object} [units=SI_UNITS] - Unidades de altura, tiempos y RSI (Units.js).
+ * @returns {string}
+ */
+export function jumpsToCsv(items, units = SI_UNITS) {
+  const length = csvUnit(QUANTITIES.LENGTH, units);
+  const time = csvUnit(QUANTITIES.TIME, units);
+  return toCsv(
+    ['jump', 'tContactStart_s', 'tTakeoff_s', 'tLanding_s', `tf_${time}`, `h_${length}`,
+      `h_impulse_${length}`, 'v_takeoff_m_s', `tc_${time}`, `rsi_${csvUnit(QUANTITIES.RSI, units)}`,
+      'peak_force_n', 'mean_force_n', 'peak_power_w',
+      'mean_power_w', 'sayers_peak_power_w', 'harman_peak_power_w', 'harman_mean_power_w',
+      'quality_score', 'valid', 'quality_issues', 'manual'],
+    items.map((it, idx) => [
+      idx + 1,
+      it.evt.tContactStart,
+      it.evt.tTakeoff,
+      it.evt.tLanding,
+      convert(it.tf, QUANTITIES.TIME, units),
+      convert(it.h, QUANTITIES.LENGTH, units),
+      convert(it.hImpulse, QUANTITIES.LENGTH, units),
+      it.vTakeoff,
+      convert(it.tc, QUANTITIES.TIME, units),
+      rsiOf(it, units),
+      it.kinetics?.peakForce,
+      it.kinetics?.meanForce,
+      it.kinetics?.peakPower,
+      it.kinetics?.meanPower,
+      it.kinetics?.sayersPeakPower,
+      it.kinetics?.harmanPeakPower,
+      it.kinetics?.harmanMeanPower,
+      it.quality?.score,
+      it.quality?.valid,
+      it.quality?.issues.map((i) => i.type).join(';'),
+      Boolean(it.evt.manual),
+    ])
+  );
+}
+
+/**
+ * CSV clave/valor con el resumen de la serie.
+ * @param {{count:number, duration:number, cadence:number}|null} summary
+ * @param {Object} [session] - Sesión, para agregar atleta y masa corporal.
+ * @param {Object} [units=SI_UNITS] - Unidades de las estadísticas (Units.js).
+ * @returns {string}
+ */
+export function summaryToCsv(summary, session = {}, units = SI_UNITS) {
+  // El RSI sin unidad no se deriva del guardado: estadísticas desde los saltos
+  // válidos, como el resumen
+  const valid = (session.items || []).filter((it) => it.quality?.valid !== false);
+  const stats =
+    units[QUANTITIES.RSI] === SI_UNITS[QUANTITIES.RSI] || !valid.length
+      ? summary?.stats
+      : seriesStats(withDisplayRsi(valid, units));
+  return toCsv(['metric', 'value'], [
+    ['athlete', session.athlete?.name ?? ''],
+    ['body_mass_kg', session.bodyMass ?? ''],
+    ['count', summary?.count ?? 0],
+    ['duration_s', summary?.duration ?? 0],
+    ['cadence_per_min', summary?.cadence ?? 0],
+    ...statsRows(stats, units),
+  ]);
+}
+
+/** Filas clave/valor de consistencia y fatiga para el CSV de resumen. */
+function statsRows(stats, units) {
+  if (!stats) return [];
+  const rows = [];
+  const { LENGTH, TIME, RSI } = QUANTITIES;
+  for (const [key, quantity] of [['h', LENGTH], ['tc', TIME], ['rsi', RSI]]) {
+    const s = stats[key];
+    if (!s) continue;
+    const unit = csvUnit(quantity, units);
+    rows.push(
+      [`${key}_best_${unit}`, convert(s.best, quantity, units)],
+      [`${key}_mean_${unit}`, convert(s.mean, quantity, units)],
+      [`${key}_sd_${unit}`, convert(s.sd, quantity, units)],
+      [`${key}_cv_pct`, s.cv]
+    );
+  }
+  const f = stats.fatigue;
+  if (f) {
+    rows.push(
+      ['fatigue_n', f.n],
+      ['fatigue_height_drop_pct', f.heightDrop],
+      ['fatigue_rsi_drop_pct', f.rsiDrop],
+      ['decrement_height_pct', f.heightDecrement],
+      ['decrement_rsi_pct', f.rsiDecrement]
+    );
+  }
+  return rows;
+}
+
+/**
+ * Nombre base de archivo para una sesión, p.ej. "activsensor-20240101-095812".
+ * @param {number} [createdAt=Date.now()]
+ * @returns {string}
+ */
+export function exportBaseName(createdAt = Date.now()) {
+  const d = new Date(createdAt);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `activsensor-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+    `-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+/**
+ * Descarga un texto como archivo desde el navegador.
+ * @param {string} text - Contenido.
+ * @param {string} filename - Nombre del archivo.
+ * @param {string} [mime='text/plain'] - Tipo MIME.
+ */
+export function downloadText(text, filename, mime = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${mime};charset=utf-8` }), filename);
+}
+
+/**
+ * Descarga un Blob como archivo desde el navegador.
+ * @param {Blob} blob - Contenido.
+ * @param {string} filename - Nombre del archivo.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Descarga la sesión como un .zip con cuatro archivos CSV (movimiento,
+ * orientación, saltos, resumen): una sola descarga por click.
+ * @param {Object} session
+ * @param {Object} [units=SI_UNITS] - Unidades de los CSV de saltos y resumen (Units.js).
+ */
+export function exportSessionCsv(session, units = SI_UNITS) {
+  const base = exportBaseName(session.createdAt);
+  const zip = zipTextFiles(
+    [
+      { name: `${base}-motion.csv`, text: motionToCsv(session.motionData || []) },
+      { name: `${base}-orientation.csv`, text: orientationToCsv(session.orientationData || []) },
+      { name: `${base}-jumps.csv`, text: jumpsToCsv(session.items || [], units) },
+      { name: `${base}-summary.csv`, text: summaryToCsv(session.summary, session, units) },
+    ],
+    new Date(session.createdAt ?? Date.now())
+  );
+  downloadBlob(zip, `${base}-csv.zip`);
+}
+
+/**
+ * Descarga la sesión en el formato JSON documentado arriba.
+ * @param {Object} session
+ */
+export function exportSessionJson(session) {
+  const base = exportBaseName(session.createdAt);
+  const json = JSON.stringify(buildCaptureJson(session), null, 2);
+  downloadText(json, `${base}.json`, 'application/json');
+}
@@ -0,0 +1,131 @@
+/**
+ * JumpKinetics.js
+ * Métricas cinéticas de salto a partir de la aceleración vertical y la masa corporal:
+ *  1) Curva de fuerza vertical F = m·(a_vert + g)
+ *  2) Fuerza pico y media en la fase concéntrica
+ *  3) Potencia pico y media (P = F·v) en la fase concéntrica
+ *  4) Estimaciones por regresión (Sayers, Harman) desde la altura del salto
+ *
+ * NOTA: a_vert es la aceleración vertical dinámica (sin g), como la traza que
+ * devuelve analyzeCapture() en JumpDetectorCore.js.
+ */
+
+import { t } from './I18n.js';
+
+const G0 = 9.80665; // m/s^2, gravedad estándar
+
+/**
+ * @typedef {Object} ForcePoint
+ * @property {number} t - Timestamp (s).
+ * @property {number} force - Fuerza vertical de reacción (N).
+ * @property {number} velocity - Velocidad vertical del centro de masa (m/s).
+ * @property {number} power - Potencia (W) = force * velocity.
+ */
+
+/**
+ * @typedef {Object} JumpKineticsResult
+ * @property {number} peakForce - Fuerza pico concéntrica (N).
+ * @property {number} meanForce - Fuerza media concéntrica (N).
+ * @property {number} peakPower - Potencia pico concéntrica (W).
+ * @property {number} meanPower - Potencia media concéntrica (W).
+ * @property {number} vTakeoff - Velocidad de despegue (m/s).
+ */
+
+/**
+ * Curva de fuerza/velocidad/potencia entre el inicio de contacto y el despegue.
+ * La velocidad se integra (trapecios) partiendo de v = 0 en tContactStart, o de
+ * evt.vContactStart en rebotes (velocidad de aterrizaje del salto anterior).
+ *
+ * @param {Array<{t:number, aVert:number}>} trace - a_vert (m/s^2) por muestra, t en segundos.
+ * @param {{tContactStart:number, tTakeoff:number, vContactStart?:number}} evt - Tiempos del salto.
+ * @param {number} massKg - Masa corporal (kg).
+ * @param {number} [g=9.80665] - Gravedad a usar (m/s^2).
+ * @returns {ForcePoint[]}
+ * @throws {Error} Si la masa no es válida o no hay muestras suficientes.
+ */
+export function forceCurve(trace, evt, massKg, g = G0) {
+  if (!(massKg > 0)) throw new Error(`forceCurve: ${t('error.kinetics.massPositive')}`);
+  const phase = trace.filter((s) => s.t >= evt.tContactStart && s.t <= evt.tTakeoff);
+  if (phase.length < 2) throw new Error(`forceCurve: ${t('error.metrics.fewPropulsiveSamples')}`);
+
+  const curve = [];
+  let v = evt.vContactStart ?? 0;
+  for (let i = 0; i < phase.length; i++) {
+    if (i > 0) {
+      const dt = phase[i].t - phase[i - 1].t;
+      v += 0.5 * (phase[i].aVert + phase[i - 1].aVert) * dt;
+    }
+    const force = massKg * (phase[i].aVert + g);
+    curve.push({ t: phase[i].t, force, velocity: v, power: force * v });
+  }
+  return curve;
+}
+
+/**
+ * Fuerza y potencia del salto. La fase concéntrica va desde la velocidad mínima
+ * (fin del contramovimiento) hasta el despegue, con velocidad positiva.
+ *
+ * @param {Array<{t:number, aVert:number}>} trace - a_vert (m/s^2) por muestra, t en segundos.
+ * @param {{tContactStart:number, tTakeoff:number}} evt - Tiempos del salto.
+ * @param {number} massKg - Masa corporal (kg).
+ * @param {number} [g=9.80665] - Gravedad a usar (m/s^2).
+ * @returns {JumpKineticsResult}
+ * @throws {Error} Si no hay fase concéntrica identificable.
+ */
+export function jumpKinetics(trace, evt, massKg, g = G0) {
+  const curve = forceCurve(trace, evt, massKg, g);
+  let iMin = 0;
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i].velocity < curve[iMin].velocity) iMin = i;
+  }
+  const concentric = curve.slice(iMin).filter((p) => p.velocity > 0);
+  if (!concentric.length) throw new Error(`jumpKinetics: ${t('error.kinetics.noConcentric')}`);
+
+  const mean = (arr, key) => arr.reduce((s, p) => s + p[key], 0) / arr.length;
+  return {
+    peakForce: Math.max(...concentric.map((p) => p.force)),
+    meanForce: mean(concentric, 'force'),
+    peakPower: Math.max(...concentric.map((p) => p.power)),
+    meanPower: mean(concentric, 'power'),
+    vTakeoff: curve[curve.length - 1].velocity,
+  };
+}
+
+/**
+ * Potencia pico estimada por la ecuación de Sayers et al. (1999):
+ * PP (W) = 60.7 · h(cm) + 45.3 · masa(kg) − 2055
+ *
+ * @param {number} heightMeters - Altura del salto (m).
+ * @param {number} massKg - Masa corporal (kg).
+ * @returns {number} Potencia pico (W).
+ */
+export function sayersPeakPower(heightMeters, massKg) {
+  if (!(massKg > 0)) throw new Error(`sayersPeakPower: ${t('error.kinetics.massPositive')}`);
+  return 60.7 * heightMeters * 100 + 45.3 * massKg - 2055;
+}
+
+/**
+ * Potencia pico estimada por la ecuación de Harman et al. (1991):
+ * PP (W) = 61.9 · h(cm) + 36 · masa(kg) + 1822
+ *
+ * @param {number} heightMeters - Altura del salto (m).
+ * @param {number} massKg - Masa corporal (kg).
+ * @returns {number} Potencia pico (W).
+ */
+export function harmanPeakPower(heightMeters, massKg) {
+  if (!(massKg > 0)) throw new Error(`harmanPeakPower: ${t('error.kinetics.massPositive')}`);
+  return 61.9 * heightMeters * 100 + 36 * massKg + 1822;
+}
+
+/**
+ * Potencia media estimada por la ecuación de Harman et al. (1991):
+ * MP (W) = 21.2 · h(cm) + 23 · masa(kg) − 1393
+ *
+ * @param {number} heightMeters - Altura del salto (m).
+ * @param {number} massKg - Masa corporal (kg).
+ * @returns {number} Potencia media (W).
+ */
+export function harmanMeanPower(heightMeters, massKg) {
+  if (!(massKg > 0)) throw new Error(`harmanMeanPower: ${t('error.kinetics.massPositive')}`);
+  return 21.2 * heightMeters * 100 + 23 * massKg - 1393;
+}
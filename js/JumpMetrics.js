@@ -6,12 +6,15 @@
  *  2) Altura (por tiempo de vuelo)
  *  3) Tiempo de contacto
  *  4) RSI clásico (altura / tiempo de contacto)
+ *  5) Altura por impulso-momento (velocidad de despegue integrando a_vert)
  *
  * NOTA: Estas funciones asumen que ya detectaste los timestamps de despegue y aterrizaje,
  * y el inicio de contacto previo al despegue. La detección de eventos puede hacerse con
  * heurísticas sobre aceleración vertical y |a|≈g durante el vuelo.
  */
 
+import { t } from './I18n.js';
+
 const G0 = 9.80665; // m/s^2, gravedad estándar
 
 /**
@@ -19,6 +22,7 @@ const G0 = 9.80665; // m/s^2, gravedad estándar
  * @property {number} tContactStart - Timestamp (en segundos) del inicio de contacto que precede al despegue.
  * @property {number} tTakeoff      - Timestamp (en segundos) del despegue (pierde contacto con el suelo).
  * @property {number} tLanding      - Timestamp (en segundos) del aterrizaje (retoma contacto).
+ * @property {number} [vContactStart] - Velocidad vertical (m/s) al inicio del contacto, en rebotes.
  */
 
 /**
@@ -31,10 +35,10 @@ const G0 = 9.80665; // m/s^2, gravedad estándar
  */
 export function flightTime(evt) {
   if (!evt || typeof evt.tTakeoff !== 'number' || typeof evt.tLanding !== 'number') {
-    throw new Error('flightTime: faltan tTakeoff y/o tLanding.');
+    throw new Error(`flightTime: ${t('error.metrics.missingFlightTimes')}`);
   }
   const tf = evt.tLanding - evt.tTakeoff;
-  if (!(tf > 0)) throw new Error('flightTime: tLanding debe ser > tTakeoff.');
+  if (!(tf > 0)) throw new Error(`flightTime: ${t('error.metrics.landingBeforeTakeoff')}`);
   return tf;
 }
 
@@ -48,10 +52,51 @@ export function flightTime(evt) {
  * @throws {Error} Si tFlight no es positivo.
  */
 export function heightFromFlightTime(tFlight, g = G0) {
-  if (!(tFlight > 0)) throw new Error('heightFromFlightTime: tFlight debe ser > 0.');
+  if (!(tFlight > 0)) throw new Error(`heightFromFlightTime: ${t('error.metrics.flightPositive')}`);
   return (g * tFlight * tFlight) / 8;
 }
 
+/**
+ * Velocidad de despegue por impulso-momento: integra (trapecios) la aceleración
+ * vertical dinámica (sin g) durante la fase propulsiva, desde el inicio de contacto
+ * hasta el despegue. Parte de v = 0 (atleta quieto) salvo en rebotes, donde el
+ * evento trae `vContactStart` (velocidad de aterrizaje del salto anterior).
+ *
+ * @param {Array<{t:number, aVert:number}>} trace - a_vert (m/s^2) por muestra, t en segundos.
+ * @param {JumpEventTimes} evt - Tiempos del salto (misma base temporal que trace).
+ * @returns {number} Velocidad vertical en el despegue (m/s).
+ * @throws {Error} Si no hay suficientes muestras en la fase propulsiva.
+ */
+export function takeoffVelocityFromImpulse(trace, evt) {
+  if (!evt || typeof evt.tContactStart !== 'number' || typeof evt.tTakeoff !== 'number') {
+    throw new Error(`takeoffVelocityFromImpulse: ${t('error.metrics.missingContactTimes')}`);
+  }
+  const phase = trace.filter((s) => s.t >= evt.tContactStart && s.t <= evt.tTakeoff);
+  if (phase.length < 2) {
+    throw new Error(`takeoffVelocityFromImpulse: ${t('error.metrics.fewPropulsiveSamples')}`);
+  }
+  let v = evt.vContactStart ?? 0;
+  for (let i = 1; i < phase.length; i++) {
+    const dt = phase[i].t - phase[i - 1].t;
+    v += 0.5 * (phase[i].aVert + phase[i - 1].aVert) * dt;
+  }
+  return v;
+}
+
+/**
+ * Altura del centro de masa a partir de la velocidad de despegue: h = v^2 / (2g).
+ * No depende de la postura de aterrizaje, a diferencia de heightFromFlightTime.
+ *
+ * @param {number} vTakeoff - Velocidad vertical de despegue (m/s).
+ * @param {number} [g=9.80665] - Gravedad a usar (m/s^2).
+ * @returns {number} Altura en metros.
+ * @throws {Error} Si vTakeoff no es positiva.
+ */
+export function heightFromTakeoffVelocity(vTakeoff, g = G0) {
+  if (!(vTakeoff > 0)) throw new Error(`heightFromTakeoffVelocity: ${t('error.metrics.velocityPositive')}`);
+  return (vTakeoff * vTakeoff) / (2 * g);
+}
+
 /**
  * Calcula el tiempo de contacto previo al despegue.
  * Definido como: t_contacto = tTakeoff - tContactStart
@@ -62,10 +107,10 @@ export function heightFromFlightTime(tFlight, g = G0) {
  */
 export function contactTime(evt) {
   if (!evt || typeof evt.tContactStart !== 'number' || typeof evt.tTakeoff !== 'number') {
-    throw new Error('contactTime: faltan tContactStart y/o tTakeoff.');
+    throw new Error(`contactTime: ${t('error.metrics.missingContactTimes')}`);
   }
   const tc = evt.tTakeoff - evt.tContactStart;
-  if (!(tc > 0)) throw new Error('contactTime: tTakeoff debe ser > tContactStart.');
+  if (!(tc > 0)) throw new Error(`contactTime: ${t('error.metrics.takeoffBeforeContact')}`);
   return tc;
 }
 
@@ -79,8 +124,8 @@ export function contactTime(evt) {
  * @throws {Error} Si los parámetros no son válidos.
  */
 export function rsi(heightMeters, tContact) {
-  if (!(heightMeters >= 0)) throw new Error('rsi: heightMeters debe ser >= 0.');
-  if (!(tContact > 0)) throw new Error('rsi: tContact debe ser > 0.');
+  if (!(heightMeters >= 0)) throw new Error(`rsi: ${t('error.metrics.heightNonNegative')}`);
+  if (!(tContact > 0)) throw new Error(`rsi: ${t('error.metrics.contactPositive')}`);
   return heightMeters / tContact;
 }
 
@@ -94,12 +139,14 @@ export function rsi(heightMeters, tContact) {
  *   items: Array<{ tf:number, h:number, tc:number, rsi:number, evt:JumpEventTimes }>,
  *   count: number,
  *   duration: number,
- *   cadence: number
+ *   cadence: number,
+ *   stats: SeriesStats
  * }}
  *  - items: lista de métricas por salto
  *  - count: cantidad de saltos detectados
  *  - duration: ventana temporal total (s) desde el primer contacto al último aterrizaje
  *  - cadence: saltos por minuto (count / (duration/60))
+ *  - stats: consistencia y fatiga de la serie (ver seriesStats)
  */
 export function summarizeSeries(events, g = G0) {
   const items = [];
@@ -118,7 +165,148 @@ export function summarizeSeries(events, g = G0) {
     duration = Math.max(0, end - start);
   }
   const cadence = duration > 0 ? (count / (duration / 60)) : 0;
-  return { items, count, duration, cadence };
+  return { items, count, duration, cadence, stats: seriesStats(items) };
+}
+
+/**
+ * @typedef {Object} MetricStats
+ * @property {number} best - Mejor valor (máximo; mínimo si "menor es mejor").
+ * @property {number} mean - Media.
+ * @property {number} sd - Desvío estándar muestral (0 con un solo valor).
+ * @property {number} cv - Coeficiente de variación (%) = sd / mean * 100.
+ */
+
+/**
+ * @typedef {Object} FatigueStats
+ * @property {number} n - Saltos promediados al inicio y al final.
+ * @property {number} heightDrop - Índice de fatiga de altura (%): caída de los últimos n respecto de los primeros n.
+ * @property {number} rsiDrop - Índice de fatiga de RSI (%), idem.
+ * @property {number} heightDecrement - Puntaje de decremento porcentual de altura (Sdec, %).
+ * @property {number} rsiDecrement - Puntaje de decremento porcentual de RSI (Sdec, %).
+ */
+
+/**
+ * @typedef {Object} SeriesStats
+ * @property {MetricStats|null} h - Altura (m).
+ * @property {MetricStats|null} tc - Tiempo de contacto (s), mejor = menor.
+ * @property {MetricStats|null} rsi - RSI (m/s).
+ * @property {FatigueStats|null} fatigue - null si hay menos de 2 saltos.
+ */
+
+/**
+ * Estadística descriptiva de una lista de valores.
+ *
+ * @param {number[]} values
+ * @param {boolean} [lowerIsBetter=false] - Si true, el mejor valor es el mínimo.
+ * @returns {MetricStats|null} null si la lista está vacía.
+ */
+export function describeValues(values, lowerIsBetter = false) {
+  const n = values.length;
+  if (!n) return null;
+  const mean = values.reduce((s, v) => s + v, 0) / n;
+  const sd = n > 1
+    ? Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1))
+    : 0;
+  const best = lowerIsBetter ? Math.min(...values) : Math.max(...values);
+  return { best, mean, sd, cv: mean !== 0 ? (sd / mean) * 100 : 0 };
+}
+
+/**
+ * Índice de fatiga (%): caída de la media de los últimos n valores respecto de
+ * la media de los primeros n. Positivo = empeora.
+ *
+ * @param {number[]} values - Valores en orden temporal (mayor es mejor).
+ * @param {number} n - Cantidad de valores a promediar en cada extremo.
+ * @returns {number}
+ * @throws {Error} Si no hay al menos n valores o la media inicial es 0.
+ */
+export function fatigueIndex(values, n) {
+  if (!(n >= 1) || values.length < n) throw new Error(`fatigueIndex: ${t('error.metrics.notEnoughValues')}`);
+  const mean = (arr) => arr.reduce((s, v) => s + v, 0) / arr.length;
+  const first = mean(values.slice(0, n));
+  const last = mean(values.slice(-n));
+  if (!(first > 0)) throw new Error(`fatigueIndex: ${t('error.metrics.firstMeanPositive')}`);
+  return ((first - last) / first) * 100;
+}
+
+/**
+ * Puntaje de decremento porcentual (Sdec, Glaister et al.):
+ * Sdec = 100 * (1 - suma / (mejor * cantidad)).
+ *
+ * @param {number[]} values - Valores (mayor es mejor).
+ * @returns {number} Decremento en %, 0 = sin pérdida.
+ * @throws {Error} Si la lista está vacía o el mejor valor no es positivo.
+ */
+export function decrementScore(values) {
+  if (!values.length) throw new Error(`decrementScore: ${t('error.metrics.noValues')}`);
+  const best = Math.max(...values);
+  if (!(best > 0)) throw new Error(`decrementScore: ${t('error.metrics.bestPositive')}`);
+  const sum = values.reduce((s, v) => s + v, 0);
+  return 100 * (1 - sum / (best * values.length));
+}
+
+/**
+ * Consistencia y fatiga de una serie de saltos.
+ *
+ * @param {Array<{h:number, tc:number, rsi:number}>} items - Métricas por salto en orden.
+ * @param {number} [fatigueN=3] - Saltos a comparar al inicio y al final (se reduce
+ *   a la mitad de la serie si no alcanza).
+ * @returns {SeriesStats}
+ */
+export function seriesStats(items, fatigueN = 3) {
+  const hs = items.map((it) => it.h);
+  const rsis = items.map((it) => it.rsi);
+  let fatigue = null;
+  if (items.length >= 2) {
+    const n = Math.max(1, Math.min(fatigueN, Math.floor(items.length / 2)));
+    fatigue = {
+      n,
+      heightDrop: fatigueIndex(hs, n),
+      rsiDrop: fatigueIndex(rsis, n),
+      heightDecrement: decrementScore(hs),
+      rsiDecrement: decrementScore(rsis),
+    };
+  }
+  return {
+    h: describeValues(hs),
+    tc: describeValues(items.map((it) => it.tc), true),
+    rsi: describeValues(rsis),
+    fatigue,
+  };
+}
+
+/**
+ * Devuelve el elemento con el mayor valor de una métrica (p.ej. mejor altura de N intentos).
+ *
+ * @template T
+ * @param {T[]} items - Lista de métricas por salto.
+ * @param {keyof T} key - Métrica a maximizar ('h', 'rsi', ...).
+ * @returns {T|null} Mejor elemento, o null si la lista está vacía.
+ */
+export function bestOf(items, key) {
+  let best = null;
+  for (const it of items) {
+    if (best == null || it[key] > best[key]) best = it;
+  }
+  return best;
+}
+
+/**
+ * Potencia media del test de saltos continuos de Bosco (W/kg):
+ * P = g^2 * Tf * Tt / (4 * n * (Tt - Tf))
+ *
+ * @param {number} totalFlight - Suma de los tiempos de vuelo Tf (s).
+ * @param {number} totalTime - Duración del test Tt (s).
+ * @param {number} count - Cantidad de saltos n.
+ * @param {number} [g=9.80665] - Gravedad a usar (m/s^2).
+ * @returns {number} Potencia media por kg de masa corporal (W/kg).
+ * @throws {Error} Si los parámetros no son válidos.
+ */
+export function boscoMeanPower(totalFlight, totalTime, count, g = G0) {
+  if (!(count > 0)) throw new Error(`boscoMeanPower: ${t('error.metrics.countPositive')}`);
+  if (!(totalFlight > 0)) throw new Error(`boscoMeanPower: ${t('error.metrics.totalFlightPositive')}`);
+  if (!(totalTime > totalFlight)) throw new Error(`boscoMeanPower: ${t('error.metrics.totalTimeAboveFlight')}`);
+  return (g * g * totalFlight * totalTime) / (4 * count * (totalTime - totalFlight));
 }
 
 /* ──────────────────────────────────────────────────────────────────────────── */
@@ -147,7 +335,7 @@ export function createDoubleTapTrigger(target, onDoubleTap = () => {
   console.log('⏺️ Doble toque detectado: iniciar captura');
 }, thresholdMs = 500) {
   const el = typeof target === 'string' ? document.querySelector(target) : target;
-  if (!el) throw new Error('createDoubleTapTrigger: no se encontró el elemento objetivo.');
+  if (!el) throw new Error(`createDoubleTapTrigger: ${t('error.metrics.noTapTarget')}`);
 
   let lastTapTs = 0;
 
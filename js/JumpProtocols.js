@@ -0,0 +1,172 @@
+/**
+ * JumpProtocols.js
+ * Protocolos estándar de evaluación de saltos. Cada protocolo define la duración
+ * de la captura, la cantidad de saltos esperada, las instrucciones para el atleta
+ * y las métricas específicas que se reportan al final.
+ */
+
+import { bestOf, boscoMeanPower } from './JumpMetrics.js';
+import { CONTACT_MODES } from './JumpDetectorCore.js';
+import { t } from './I18n.js';
+import { QUANTITIES } from './Units.js';
+
+/**
+ * @typedef {Object} JumpProtocol
+ * @property {string} id - Identificador estable (se guarda con la sesión).
+ * @property {string} name - Nombre visible, en el idioma actual.
+ * @property {number|null} durationS - Duración del test (s) tras la calibración; null = hasta el doble toque.
+ * @property {number|null} expectedJumps - Saltos esperados; al alcanzarlos se detiene la captura.
+ * @property {string} instructions - Instrucciones para el atleta (modal de ayuda), en el idioma actual.
+ * @property {'movement'|'rebound'} contactMode - Cómo se mide el contacto (CONTACT_MODES):
+ *   desde el primer movimiento o, en rebotes, desde el aterrizaje anterior.
+ */
+
+/**
+ * @typedef {Object} ProtocolOutput
+ * @property {string} label - Nombre de la métrica, en el idioma actual.
+ * @property {number} value - Valor en unidades SI.
+ * @property {string} unit - Unidad del valor ('m', 's', 'm/s', 'W/kg').
+ * @property {string|null} quantity - Magnitud (QUANTITIES de Units.js) para mostrarlo
+ *   en las unidades elegidas; null si no se convierte.
+ */
+
+/**
+ * Agrega nombre e instrucciones traducidos (claves protocol.<id>.* del catálogo).
+ * @private
+ */
+function localized(protocol) {
+  return Object.defineProperties(protocol, {
+    name: { get: () => t(`protocol.${protocol.id}.name`), enumerable: true },
+    instructions: { get: () => t(`protocol.${protocol.id}.instructions`), enumerable: true },
+  });
+}
+
+/** @type {Readonly<Record<string, JumpProtocol>>} */
+export const JUMP_PROTOCOLS = Object.freeze({
+  free: localized({
+    id: 'free',
+    durationS: null,
+    expectedJumps: null,
+    contactMode: CONTACT_MODES.MOVEMENT,
+  }),
+  cmj: localized({
+    id: 'cmj',
+    durationS: null,
+    expectedJumps: 3,
+    contactMode: CONTACT_MODES.MOVEMENT,
+  }),
+  sj: localized({
+    id: 'sj',
+    durationS: null,
+    expectedJumps: 3,
+    contactMode: CONTACT_MODES.MOVEMENT,
+  }),
+  dj: localized({
+    id: 'dj',
+    durationS: null,
+    expectedJumps: 3,
+    contactMode: CONTACT_MODES.REBOUND,
+  }),
+  rj10_5: localized({
+    id: 'rj10_5',
+    durationS: null,
+    expectedJumps: 10,
+    contactMode: CONTACT_MODES.REBOUND,
+  }),
+  bosco15: localized({
+    id: 'bosco15',
+    durationS: 15,
+    expectedJumps: null,
+    contactMode: CONTACT_MODES.REBOUND,
+  }),
+  bosco30: localized({
+    id: 'bosco30',
+    durationS: 30,
+    expectedJumps: null,
+    contactMode: CONTACT_MODES.REBOUND,
+  }),
+});
+
+export const DEFAULT_PROTOCOL = 'free';
+
+const { LENGTH, TIME, RSI } = QUANTITIES;
+
+/**
+ * Devuelve el protocolo por id (o el protocolo libre si no existe).
+ * @param {string} id
+ * @returns {JumpProtocol}
+ */
+export function getProtocol(id) {
+  return JUMP_PROTOCOLS[id] || JUMP_PROTOCOLS[DEFAULT_PROTOCOL];
+}
+
+/**
+ * Calcula las métricas específicas de un protocolo.
+ *
+ * @param {string} id - Id del protocolo.
+ * @param {Array<{tf:number, h:number, tc:number, rsi:number, evt:Object}>} items - Métricas por
+ *   salto; el RSI se usa en la forma que traigan (ver withDisplayRsi en Units.js).
+ * @returns {ProtocolOutput[]}
+ */
+export function protocolResults(id, items) {
+  if (!items.length) return [];
+  switch (getProtocol(id).id) {
+    case 'cmj':
+    case 'sj': {
+      const best = bestOf(items, 'h');
+      const mean = items.reduce((s, it) => s + it.h, 0) / items.length;
+      return [
+        { label: t('protocol.bestHeight', { n: items.length }), value: best.h, unit: 'm', quantity: LENGTH },
+        { label: t('protocol.meanHeight'), value: mean, unit: 'm', quantity: LENGTH },
+        { label: t('protocol.bestFlight'), value: best.tf, unit: 's', quantity: TIME },
+      ];
+    }
+    case 'dj': {
+      const best = bestOf(items, 'rsi');
+      return [
+        { label: t('protocol.bestRsi'), value: best.rsi, unit: 'm/s', quantity: RSI },
+        { label: t('protocol.heightAtBestRsi'), value: best.h, unit: 'm', quantity: LENGTH },
+        { label: t('protocol.contactAtBestRsi'), value: best.tc, unit: 's', quantity: TIME },
+      ];
+    }
+    case 'rj10_5': {
+      // Sólo los rebotes: el primer salto sale desde parado
+      const rebounds = items.filter((it) => it.evt.contactFrom === 'landing');
+      if (!rebounds.length) return [];
+      const top = [...rebounds].sort((a, b) => b.rsi - a.rsi).slice(0, 5);
+      const mean = (key) => top.reduce((s, it) => s + it[key], 0) / top.length;
+      return [
+        { label: t('protocol.meanRsiTop', { n: top.length }), value: mean('rsi'), unit: 'm/s', quantity: RSI },
+        { label: t('protocol.meanContact'), value: mean('tc'), unit: 's', quantity: TIME },
+        { label: t('protocol.meanHeight'), value: mean('h'), unit: 'm', quantity: LENGTH },
+        { label: t('protocol.bestRsi'), value: top[0].rsi, unit: 'm/s', quantity: RSI },
+      ];
+    }
+    case 'bosco15':
+    case 'bosco30': {
+      // Tt: desde el primer despegue hasta el último aterrizaje
+      const totalFlight = items.reduce((s, it) => s + it.tf, 0);
+      const totalTime = items[items.length - 1].evt.tLanding - items[0].evt.tTakeoff;
+      const outputs = [
+        {
+          label: t('protocol.meanHeight'),
+          value: items.reduce((s, it) => s + it.h, 0) / items.length,
+          unit: 'm',
+          quantity: LENGTH,
+        },
+        { label: t('protocol.totalFlight'), value: totalFlight, unit: 's', quantity: TIME },
+      ];
+      if (totalTime > totalFlight) {
+        outputs.unshift({
+          label: t('protocol.boscoPower'),
+          value: boscoMeanPower(totalFlight, totalTime, items.length),
+          unit: 'W/kg',
+          quantity: null,
+        });
+      }
+      return outputs;
+    }
+    default:
+      return [];
+  }
+}
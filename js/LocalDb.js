@@ -0,0 +1,81 @@
+/**
+ * LocalDb.js
+ * Base de datos local (IndexedDB) compartida por los almacenes de la app:
+ * sesiones de captura (SessionStore.js), perfiles de atletas (AthleteStore.js)
+ * y umbrales ajustados por dispositivo (DeviceProfileStore.js).
+ */
+
+import { t } from './I18n.js';
+
+const DB_NAME = 'activsensor';
+const DB_VERSION = 3;
+
+/** Nombres de los object stores. */
+export const STORES = Object.freeze({
+  SESSIONS: 'sessions',
+  ATHLETES: 'athletes',
+  DEVICES: 'devices',
+});
+
+/** Convierte un IDBRequest en Promise. */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let dbPromise = null;
+
+/**
+ * Abre (y crea/actualiza si hace falta) la base de datos local.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error(t('error.db.unavailable')));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      // v1: sesiones
+      if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+        const store = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      }
+      // v2: atletas, y sesiones indexadas por atleta
+      if (!db.objectStoreNames.contains(STORES.ATHLETES)) {
+        db.createObjectStore(STORES.ATHLETES, { keyPath: 'id', autoIncrement: true });
+      }
+      const sessions = req.transaction.objectStore(STORES.SESSIONS);
+      if (!sessions.indexNames.contains('athleteId')) {
+        sessions.createIndex('athleteId', 'athleteId');
+      }
+      // v3: perfiles de dispositivo (umbrales ajustados)
+      if (!db.objectStoreNames.contains(STORES.DEVICES)) {
+        db.createObjectStore(STORES.DEVICES, { keyPath: 'key' });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Ejecuta una operación sobre un object store.
+ * @param {string} storeName - Uno de STORES.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ * @returns {Promise<any>}
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+}
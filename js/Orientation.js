@@ -0,0 +1,102 @@
+/**
+ * Orientation.js
+ * Eje vertical por muestra a partir de la orientación del dispositivo.
+ * En lugar de proyectar la aceleración sobre un gUnit fijo de la calibración,
+ * se usa la dirección "arriba" terrestre expresada en ejes del teléfono en cada
+ * instante, de modo que a_vert sigue siendo correcta si el tronco se inclina.
+ *
+ * Convenciones (W3C DeviceOrientation):
+ *  - alpha (z), beta (x), gamma (y) en grados; R = Rz(alpha) · Rx(beta) · Ry(gamma)
+ *    lleva vectores del marco del teléfono al marco terrestre (z hacia arriba).
+ *  - Cuaterniones como [x, y, z, w] (igual que la Generic Sensor API).
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * Matriz de rotación (3x3, filas) teléfono -> tierra desde ángulos de Euler.
+ *
+ * @param {number} alpha - Grados.
+ * @param {number} beta - Grados.
+ * @param {number} gamma - Grados.
+ * @returns {number[][]}
+ */
+export function rotationMatrixFromEuler(alpha, beta, gamma) {
+  const ca = Math.cos(alpha * DEG), sa = Math.sin(alpha * DEG);
+  const cb = Math.cos(beta * DEG),  sb = Math.sin(beta * DEG);
+  const cg = Math.cos(gamma * DEG), sg = Math.sin(gamma * DEG);
+  return [
+    [ca * cg - sa * sb * sg, -sa * cb, ca * sg + sa * sb * cg],
+    [sa * cg + ca * sb * sg,  ca * cb, sa * sg - ca * sb * cg],
+    [-cb * sg,                sb,      cb * cg],
+  ];
+}
+
+/**
+ * Matriz de rotación (3x3, filas) desde un cuaternión unitario [x, y, z, w].
+ * @param {number[]} q
+ * @returns {number[][]}
+ */
+export function rotationMatrixFromQuaternion(q) {
+  const [x, y, z, w] = q;
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - z * w),     2 * (x * z + y * w)],
+    [2 * (x * y + z * w),     1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+    [2 * (x * z - y * w),     2 * (y * z + x * w),     1 - 2 * (x * x + y * y)],
+  ];
+}
+
+/**
+ * Dirección "arriba" terrestre expresada en ejes del teléfono (tercera fila de R).
+ * No depende de alpha (rumbo), que suele ser poco fiable.
+ *
+ * @param {number} beta - Grados.
+ * @param {number} gamma - Grados.
+ * @returns {number[]} Vector unitario [x, y, z].
+ */
+export function upAxisFromEuler(beta, gamma) {
+  const cb = Math.cos(beta * DEG), sb = Math.sin(beta * DEG);
+  const cg = Math.cos(gamma * DEG), sg = Math.sin(gamma * DEG);
+  return [-cb * sg, sb, cb * cg];
+}
+
+/**
+ * Dirección "arriba" terrestre en ejes del teléfono desde un cuaternión [x, y, z, w].
+ * @param {number[]} q
+ * @returns {number[]} Vector unitario [x, y, z].
+ */
+export function upAxisFromQuaternion(q) {
+  return rotationMatrixFromQuaternion(q)[2];
+}
+
+/**
+ * Eje vertical de una muestra de orientación guardada: usa el cuaternión si
+ * lo trae (fusión de sensores) y si no los ángulos de Euler.
+ *
+ * @param {{beta:number, gamma:number, q?:number[]}} o
+ * @returns {number[]} Vector unitario [x, y, z].
+ */
+export function upAxisFromOrientation(o) {
+  return o.q ? upAxisFromQuaternion(o.q) : upAxisFromEuler(o.beta, o.gamma);
+}
+
+/**
+ * Agrega a cada muestra de aceleración el eje vertical (`up`) de la muestra de
+ * orientación más reciente. Las muestras sin orientación cercana quedan sin `up`
+ * y el detector usa el gUnit de la calibración para ellas.
+ *
+ * @param {Array<{t:number}>} motionData - Muestras de aceleración ordenadas (t en ms).
+ * @param {Array<{t:number, beta:number, gamma:number, q?:number[]}>} orientationData - Orientación ordenada (t en ms).
+ * @param {number} [maxGapMs=200] - Antigüedad máxima de la orientación usada.
+ * @returns {Array<Object>} Copias de las muestras, con `up` cuando está disponible.
+ */
+export function attachVerticalAxis(motionData, orientationData, maxGapMs = 200) {
+  if (!orientationData?.length) return motionData;
+  let j = 0;
+  return motionData.map((s) => {
+    while (j + 1 < orientationData.length && orientationData[j + 1].t <= s.t) j++;
+    const o = orientationData[j];
+    if (Math.abs(s.t - o.t) > maxGapMs) return s;
+    return { ...s, up: upAxisFromOrientation(o) };
+  });
+}
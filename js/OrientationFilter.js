@@ -0,0 +1,306 @@
+/**
+ * OrientationFilter.js
+ * Fusión de sensores para estimar la orientación del teléfono como cuaternión:
+ *  1) Filtro de Madgwick (descenso de gradiente, parámetro beta)
+ *  2) Filtro de Mahony (complementario no lineal, ganancias kp/ki)
+ *  3) Fusión por lotes de una captura grabada (fuseMotionSamples)
+ *
+ * Ambos filtros integran el giroscopio y corrigen la deriva con el acelerómetro
+ * (inclinación) y, si se entrega, con el magnetómetro (rumbo).
+ *
+ * Convenciones (iguales a Orientation.js):
+ *  - Cuaterniones como [x, y, z, w]; R(q) lleva vectores del marco del teléfono
+ *    al marco terrestre con z hacia arriba, así que upAxisFromQuaternion(q)
+ *    sirve directamente para proyectar la aceleración vertical.
+ *  - Giroscopio en rad/s sobre los ejes x, y, z del teléfono.
+ *  - Acelerómetro con gravedad (en reposo y boca arriba mide +z) y magnetómetro
+ *    en cualquier unidad: ambos se normalizan.
+ */
+
+import { t } from './I18n.js';
+
+export const FUSION_FILTERS = Object.freeze({
+  MADGWICK: 'madgwick',
+  MAHONY: 'mahony',
+});
+
+const DEG = Math.PI / 180;
+const MAX_DT = 0.2; // s, huecos mayores no se integran
+
+function normalize(v) {
+  const n = Math.hypot(...v);
+  return n > 0 ? v.map((c) => c / n) : null;
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+/**
+ * Cuaternión [x, y, z, w] que alinea la gravedad medida con el eje z terrestre.
+ * Sirve para arrancar los filtros ya inclinados en vez de esperar a que converjan.
+ *
+ * @param {number[]} accel - Aceleración con gravedad [x, y, z] en reposo.
+ * @returns {number[]}
+ */
+export function quaternionFromGravity(accel) {
+  const a = normalize(accel);
+  if (!a) return [0, 0, 0, 1];
+  if (a[2] < -0.9999) return [1, 0, 0, 0]; // boca abajo: media vuelta sobre x
+  // Rotación mínima de a hacia [0, 0, 1]: eje a × z, mitad del ángulo
+  return normalize([a[1], -a[0], 0, 1 + a[2]]);
+}
+
+/**
+ * Velocidad angular de un DeviceMotionEvent (rotationRate en grados/s, con
+ * alpha sobre z, beta sobre x y gamma sobre y) como [x, y, z] en rad/s.
+ *
+ * @param {{alpha:number|null, beta:number|null, gamma:number|null}|null} rotationRate
+ * @returns {number[]|null} null si el dispositivo no informa giroscopio.
+ */
+export function gyroFromRotationRate(rotationRate) {
+  if (!rotationRate || rotationRate.beta == null) return null;
+  return [
+    (rotationRate.beta || 0) * DEG,
+    (rotationRate.gamma || 0) * DEG,
+    (rotationRate.alpha || 0) * DEG,
+  ];
+}
+
+/**
+ * Integra q̇ = ½ · q ⊗ (0, ω) durante dt.
+ * @private
+ */
+function integrateRate(q, w, dt, correction) {
+  const [x, y, z, s] = q;
+  const [gx, gy, gz] = w;
+  let dw = 0.5 * (-x * gx - y * gy - z * gz);
+  let dx = 0.5 * (s * gx + y * gz - z * gy);
+  let dy = 0.5 * (s * gy - x * gz + z * gx);
+  let dz = 0.5 * (s * gz + x * gy - y * gx);
+  if (correction) {
+    dx -= correction[0];
+    dy -= correction[1];
+    dz -= correction[2];
+    dw -= correction[3];
+  }
+  return normalize([x + dx * dt, y + dy * dt, z + dz * dt, s + dw * dt]) || [0, 0, 0, 1];
+}
+
+/**
+ * Referencia magnética en el marco terrestre (bx hacia el norte horizontal, bz
+ * vertical) a partir de la lectura del magnetómetro ya normalizada.
+ * @private
+ */
+function earthMagneticReference(q, m) {
+  const [x, y, z, w] = q;
+  const hx = 2 * (m[0] * (0.5 - y * y - z * z) + m[1] * (x * y - w * z) + m[2] * (x * z + w * y));
+  const hy = 2 * (m[0] * (x * y + w * z) + m[1] * (0.5 - x * x - z * z) + m[2] * (y * z - w * x));
+  const hz = 2 * (m[0] * (x * z - w * y) + m[1] * (y * z + w * x) + m[2] * (0.5 - x * x - y * y));
+  return [Math.hypot(hx, hy), hz];
+}
+
+/**
+ * Filtro de Madgwick (Madgwick et al., 2011).
+ * beta pondera la corrección por gradiente frente a la integración del giroscopio:
+ * valores mayores convergen antes pero dejan pasar más aceleración lineal.
+ */
+export class MadgwickFilter {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.beta=0.1] - Ganancia del paso de gradiente.
+   * @param {number[]} [opts.quaternion=[0,0,0,1]] - Orientación inicial [x, y, z, w].
+   */
+  constructor({ beta = 0.1, quaternion = [0, 0, 0, 1] } = {}) {
+    this.beta = beta;
+    this.q = [...quaternion];
+  }
+
+  /** @returns {number[]} Orientación actual [x, y, z, w]. */
+  get quaternion() {
+    return [...this.q];
+  }
+
+  /**
+   * Vuelve a la orientación dada (por defecto la identidad).
+   * @param {number[]} [quaternion=[0,0,0,1]]
+   */
+  reset(quaternion = [0, 0, 0, 1]) {
+    this.q = [...quaternion];
+  }
+
+  /**
+   * Avanza el filtro una muestra.
+   *
+   * @param {number[]} gyro - Velocidad angular [x, y, z] (rad/s).
+   * @param {number[]} accel - Aceleración con gravedad [x, y, z].
+   * @param {number[]|null} [mag] - Campo magnético [x, y, z], opcional.
+   * @param {number} dt - Tiempo desde la muestra anterior (s).
+   * @returns {number[]} Orientación actualizada [x, y, z, w].
+   */
+  update(gyro, accel, mag, dt) {
+    if (!(dt > 0) || dt > MAX_DT) return this.quaternion;
+    const a = normalize(accel);
+    if (!a) {
+      this.q = integrateRate(this.q, gyro, dt);
+      return this.quaternion;
+    }
+    const m = mag ? normalize(mag) : null;
+    // Notación del artículo: q0 = w, q1..q3 = x, y, z
+    const [q1, q2, q3, q0] = this.q;
+
+    // Gradiente de la función objetivo de gravedad: J_gᵀ · f_g
+    const fg = [
+      2 * (q1 * q3 - q0 * q2) - a[0],
+      2 * (q0 * q1 + q2 * q3) - a[1],
+      2 * (0.5 - q1 * q1 - q2 * q2) - a[2],
+    ];
+    let s0 = -2 * q2 * fg[0] + 2 * q1 * fg[1];
+    let s1 = 2 * q3 * fg[0] + 2 * q0 * fg[1] - 4 * q1 * fg[2];
+    let s2 = -2 * q0 * fg[0] + 2 * q3 * fg[1] - 4 * q2 * fg[2];
+    let s3 = 2 * q1 * fg[0] + 2 * q2 * fg[1];
+
+    if (m) {
+      // Gradiente de la función objetivo magnética: J_bᵀ · f_b
+      const [bx, bz] = earthMagneticReference(this.q, m);
+      const fb = [
+        2 * bx * (0.5 - q2 * q2 - q3 * q3) + 2 * bz * (q1 * q3 - q0 * q2) - m[0],
+        2 * bx * (q1 * q2 - q0 * q3) + 2 * bz * (q0 * q1 + q2 * q3) - m[1],
+        2 * bx * (q0 * q2 + q1 * q3) + 2 * bz * (0.5 - q1 * q1 - q2 * q2) - m[2],
+      ];
+      s0 += -2 * bz * q2 * fb[0] + (-2 * bx * q3 + 2 * bz * q1) * fb[1] + 2 * bx * q2 * fb[2];
+      s1 += 2 * bz * q3 * fb[0] + (2 * bx * q2 + 2 * bz * q0) * fb[1] +
+        (2 * bx * q3 - 4 * bz * q1) * fb[2];
+      s2 += (-4 * bx * q2 - 2 * bz * q0) * fb[0] + (2 * bx * q1 + 2 * bz * q3) * fb[1] +
+        (2 * bx * q0 - 4 * bz * q2) * fb[2];
+      s3 += (-4 * bx * q3 + 2 * bz * q1) * fb[0] + (-2 * bx * q0 + 2 * bz * q2) * fb[1] +
+        2 * bx * q1 * fb[2];
+    }
+
+    const step = normalize([s1, s2, s3, s0]);
+    this.q = integrateRate(this.q, gyro, dt, step && step.map((c) => this.beta * c));
+    return this.quaternion;
+  }
+}
+
+/**
+ * Filtro de Mahony (Mahony et al., 2008).
+ * Corrige la velocidad angular con el error entre la gravedad (y el norte
+ * magnético) medidos y los estimados, con un término proporcional kp y uno
+ * integral ki que absorbe el sesgo del giroscopio.
+ */
+export class MahonyFilter {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.kp=0.5] - Ganancia proporcional.
+   * @param {number} [opts.ki=0] - Ganancia integral.
+   * @param {number[]} [opts.quaternion=[0,0,0,1]] - Orientación inicial [x, y, z, w].
+   */
+  constructor({ kp = 0.5, ki = 0, quaternion = [0, 0, 0, 1] } = {}) {
+    this.kp = kp;
+    this.ki = ki;
+    this.q = [...quaternion];
+    this.integral = [0, 0, 0];
+  }
+
+  /** @returns {number[]} Orientación actual [x, y, z, w]. */
+  get quaternion() {
+    return [...this.q];
+  }
+
+  /**
+   * Vuelve a la orientación dada (por defecto la identidad) y borra el término integral.
+   * @param {number[]} [quaternion=[0,0,0,1]]
+   */
+  reset(quaternion = [0, 0, 0, 1]) {
+    this.q = [...quaternion];
+    this.integral = [0, 0, 0];
+  }
+
+  /**
+   * Avanza el filtro una muestra.
+   *
+   * @param {number[]} gyro - Velocidad angular [x, y, z] (rad/s).
+   * @param {number[]} accel - Aceleración con gravedad [x, y, z].
+   * @param {number[]|null} [mag] - Campo magnético [x, y, z], opcional.
+   * @param {number} dt - Tiempo desde la muestra anterior (s).
+   * @returns {number[]} Orientación actualizada [x, y, z, w].
+   */
+  update(gyro, accel, mag, dt) {
+    if (!(dt > 0) || dt > MAX_DT) return this.quaternion;
+    const a = normalize(accel);
+    let w = [...gyro];
+    if (a) {
+      const [x, y, z, s] = this.q;
+      // Gravedad estimada en ejes del teléfono (tercera fila de R)
+      const v = [2 * (x * z - s * y), 2 * (s * x + y * z), 1 - 2 * (x * x + y * y)];
+      let e = cross(a, v);
+      const m = mag ? normalize(mag) : null;
+      if (m) {
+        // Norte magnético estimado en ejes del teléfono: Rᵀ · [bx, 0, bz]
+        const [bx, bz] = earthMagneticReference(this.q, m);
+        const h = [
+          2 * (bx * (0.5 - y * y - z * z) + bz * (x * z - s * y)),
+          2 * (bx * (x * y - s * z) + bz * (s * x + y * z)),
+          2 * (bx * (s * y + x * z) + bz * (0.5 - x * x - y * y)),
+        ];
+        const em = cross(m, h);
+        e = e.map((c, i) => c + em[i]);
+      }
+      if (this.ki > 0) {
+        this.integral = this.integral.map((c, i) => c + this.ki * e[i] * dt);
+        w = w.map((c, i) => c + this.integral[i]);
+      }
+      w = w.map((c, i) => c + this.kp * e[i]);
+    }
+    this.q = integrateRate(this.q, w, dt);
+    return this.quaternion;
+  }
+}
+
+/**
+ * Crea un filtro de fusión por nombre.
+ *
+ * @param {'madgwick'|'mahony'} [type='madgwick'] - Ver FUSION_FILTERS.
+ * @param {Object} [opts] - Opciones del constructor del filtro.
+ * @returns {MadgwickFilter|MahonyFilter}
+ * @throws {Error} Si el tipo no existe.
+ */
+export function createOrientationFilter(type = FUSION_FILTERS.MADGWICK, opts = {}) {
+  if (type === FUSION_FILTERS.MADGWICK) return new MadgwickFilter(opts);
+  if (type === FUSION_FILTERS.MAHONY) return new MahonyFilter(opts);
+  throw new Error(`createOrientationFilter: ${t('error.orientation.unknownFilter', { type })}`);
+}
+
+/**
+ * Orientación fusionada de una captura grabada. Usa las muestras que traen
+ * giroscopio (gx, gy, gz en rad/s) y arranca desde la gravedad de la primera.
+ * El resultado tiene la forma de orientationData, así que attachVerticalAxis()
+ * de Orientation.js lo acepta tal cual.
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number, gx?:number, gy?:number, gz?:number,
+ *   mx?:number, my?:number, mz?:number}>} samples - Ordenadas, t en ms.
+ * @param {Object} [opts]
+ * @param {'madgwick'|'mahony'} [opts.filter='madgwick'] - Ver FUSION_FILTERS.
+ * @returns {Array<{t:number, q:number[]}>} Vacío si la captura no tiene giroscopio.
+ */
+export function fuseMotionSamples(samples, { filter = FUSION_FILTERS.MADGWICK, ...opts } = {}) {
+  const withGyro = samples.filter((s) => Number.isFinite(s.gx));
+  if (!withGyro.length) return [];
+  const first = withGyro[0];
+  const fusion = createOrientationFilter(filter, {
+    ...opts,
+    quaternion: quaternionFromGravity([first.ax, first.ay, first.az]),
+  });
+  let prevT = first.t;
+  return withGyro.map((s) => {
+    const mag = Number.isFinite(s.mx) ? [s.mx, s.my, s.mz] : null;
+    const q = fusion.update([s.gx, s.gy, s.gz], [s.ax, s.ay, s.az], mag, (s.t - prevT) / 1000);
+    prevT = s.t;
+    return { t: s.t, q };
+  });
+}
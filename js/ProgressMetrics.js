@@ -0,0 +1,118 @@
+/**
+ * ProgressMetrics.js
+ * Seguimiento longitudinal de un atleta a partir de sus sesiones guardadas:
+ *  1) Un punto por sesión: mejor altura, mejor RSI, mejor contacto y fatiga
+ *     (sólo con los saltos válidos según la calidad de señal)
+ *  2) Banda de referencia (media ± DE de las primeras sesiones)
+ *  3) Mejor marca histórica de cada métrica
+ */
+
+import { seriesStats } from './JumpMetrics.js';
+import { t } from './I18n.js';
+import { SI_UNITS, withDisplayRsi } from './Units.js';
+
+/** Sesiones iniciales con las que se arma la banda de referencia. */
+export const BASELINE_SESSIONS = 3;
+
+/**
+ * Métricas seguidas en el tiempo: nombre (en el idioma actual), unidad y si un
+ * valor menor es mejor.
+ * Las de fatiga son caídas (%) entre los primeros y los últimos saltos.
+ */
+export const PROGRESS_METRICS = Object.freeze({
+  h: { get label() { return t('progress.h'); }, unit: 'm', lowerIsBetter: false },
+  rsi: { get label() { return t('progress.rsi'); }, unit: 'm/s', lowerIsBetter: false },
+  tc: { get label() { return t('progress.tc'); }, unit: 's', lowerIsBetter: true },
+  heightDrop: { get label() { return t('progress.heightDrop'); }, unit: '%', lowerIsBetter: true },
+  rsiDrop: { get label() { return t('progress.rsiDrop'); }, unit: '%', lowerIsBetter: true },
+});
+
+/**
+ * @typedef {Object} ProgressPoint
+ * @property {number} sessionId
+ * @property {number} date - Fecha de la sesión (ms desde epoch).
+ * @property {string|null} protocol - Id del protocolo.
+ * @property {number} jumps - Saltos válidos usados.
+ * @property {number|null} h - Mejor altura (m).
+ * @property {number|null} rsi - Mejor RSI, en la forma pedida (m/s o sin unidad).
+ * @property {number|null} tc - Menor tiempo de contacto (s).
+ * @property {number|null} heightDrop - Fatiga de altura (%), null con menos de 2 saltos.
+ * @property {number|null} rsiDrop - Fatiga de RSI (%).
+ */
+
+/**
+ * Resume una sesión en un punto de la evolución. Los saltos marcados como no
+ * válidos por la calidad de señal no cuentan.
+ *
+ * @param {Object} session - Sesión guardada (ver SessionStore.js).
+ * @param {Object} [units=SI_UNITS] - Sólo se usa la forma del RSI (Units.js); altura y
+ *   contacto quedan en SI.
+ * @returns {ProgressPoint|null} null si la sesión no tiene saltos válidos.
+ */
+export function sessionProgressPoint(session, units = SI_UNITS) {
+  const items = (session.items || []).filter((it) => it.quality?.valid !== false);
+  if (!items.length) return null;
+  const stats = seriesStats(withDisplayRsi(items, units));
+  return {
+    sessionId: session.id,
+    date: session.createdAt,
+    protocol: session.protocol ?? null,
+    jumps: items.length,
+    h: stats.h?.best ?? null,
+    rsi: stats.rsi?.best ?? null,
+    tc: stats.tc?.best ?? null,
+    heightDrop: stats.fatigue?.heightDrop ?? null,
+    rsiDrop: stats.fatigue?.rsiDrop ?? null,
+  };
+}
+
+/**
+ * Puntos de evolución de un conjunto de sesiones, del más antiguo al más reciente.
+ *
+ * @param {Object[]} sessions
+ * @param {Object} [opts]
+ * @param {string|null} [opts.protocol] - Sólo sesiones de este protocolo (null = todas).
+ * @param {Object} [opts.units=SI_UNITS] - Forma del RSI (ver sessionProgressPoint).
+ * @returns {ProgressPoint[]}
+ */
+export function progressSeries(sessions, { protocol = null, units = SI_UNITS } = {}) {
+  return sessions
+    .filter((s) => !protocol || s.protocol === protocol)
+    .map((session) => sessionProgressPoint(session, units))
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Banda de referencia de una métrica: media ± DE de las primeras sesiones.
+ *
+ * @param {ProgressPoint[]} points - Ordenados por fecha.
+ * @param {string} key - Clave de PROGRESS_METRICS.
+ * @param {number} [n=BASELINE_SESSIONS] - Sesiones iniciales a usar.
+ * @returns {{mean:number, sd:number, lower:number, upper:number, n:number}|null}
+ *   null si hay menos de 2 valores.
+ */
+export function baselineBand(points, key, n = BASELINE_SESSIONS) {
+  const values = points.map((p) => p[key]).filter((v) => v != null).slice(0, n);
+  if (values.length < 2) return null;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1));
+  return { mean, sd, lower: mean - sd, upper: mean + sd, n: values.length };
+}
+
+/**
+ * Mejor marca histórica de una métrica.
+ *
+ * @param {ProgressPoint[]} points
+ * @param {string} key - Clave de PROGRESS_METRICS.
+ * @returns {ProgressPoint|null}
+ */
+export function bestPoint(points, key) {
+  const { lowerIsBetter } = PROGRESS_METRICS[key];
+  let best = null;
+  for (const p of points) {
+    if (p[key] == null) continue;
+    if (!best || (lowerIsBetter ? p[key] < best[key] : p[key] > best[key])) best = p;
+  }
+  return best;
+}
@@ -0,0 +1,167 @@
+/**
+ * Sampling.js
+ * Capa de muestreo entre los sensores y el análisis:
+ *  1) Timestamps homogéneos para todas las fuentes (DeviceMotionEvent,
+ *     DeviceOrientationEvent, Generic Sensor API) en ms desde timeOrigin
+ *  2) Frecuencia real, jitter y huecos (muestras perdidas) de una captura
+ *  3) Remuestreo a una frecuencia uniforme por interpolación lineal, para que
+ *     los tiempos de vuelo y contacto no dependan de la entrega irregular
+ */
+
+import { t } from './I18n.js';
+
+/** Timestamps mayores que esto son ms desde epoch, no desde timeOrigin (~año 2001). */
+const EPOCH_THRESHOLD_MS = 1e12;
+
+/** Campos que se interpolan si están presentes en las muestras. */
+const INTERPOLATED_FIELDS = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+/**
+ * Lleva un timestamp a ms desde performance.timeOrigin, la base de
+ * Event.timeStamp y Sensor.timestamp en los navegadores actuales. Algunos
+ * navegadores viejos dan Event.timeStamp en ms desde epoch.
+ *
+ * @param {number} ts - Timestamp en ms.
+ * @returns {number}
+ */
+export function normalizeTimestamp(ts) {
+  if (!Number.isFinite(ts)) return performance.now();
+  if (ts > EPOCH_THRESHOLD_MS) return ts - performance.timeOrigin;
+  return ts;
+}
+
+/**
+ * Timestamp de la lectura de cualquier fuente de sensores: `timestamp` de un
+ * Sensor (momento de la lectura) o `timeStamp` de un evento.
+ *
+ * @param {Sensor|Event} source
+ * @returns {number} ms desde timeOrigin.
+ */
+export function sourceTimestamp(source) {
+  return normalizeTimestamp(source?.timestamp ?? source?.timeStamp);
+}
+
+/**
+ * Frecuencia de muestreo estimada con la mediana de los intervalos.
+ *
+ * @param {number[]} timesMs - Timestamps ordenados (ms).
+ * @returns {number|null} Hz, o null si no hay intervalos válidos.
+ */
+export function estimateSampleRate(timesMs) {
+  const dts = intervals(timesMs).sort((a, b) => a - b);
+  if (!dts.length) return null;
+  return 1000 / dts[Math.floor(dts.length / 2)];
+}
+
+/** Intervalos positivos entre timestamps consecutivos (ms). @private */
+function intervals(timesMs) {
+  const dts = [];
+  for (let i = 1; i < timesMs.length; i++) {
+    const dt = timesMs[i] - timesMs[i - 1];
+    if (dt > 0) dts.push(dt);
+  }
+  return dts;
+}
+
+/**
+ * @typedef {Object} SamplingGap
+ * @property {number} start - Timestamp (ms) de la última muestra antes del hueco.
+ * @property {number} end - Timestamp (ms) de la primera muestra después del hueco.
+ * @property {number} duration - end - start (ms).
+ * @property {number} missing - Muestras perdidas estimadas.
+ */
+
+/**
+ * @typedef {Object} SamplingStats
+ * @property {number} count - Muestras.
+ * @property {number} duration - Duración (ms).
+ * @property {number|null} rate - Frecuencia nominal (Hz), por la mediana de los intervalos.
+ * @property {number|null} meanRate - Frecuencia media (Hz) = (count - 1) / duración.
+ * @property {number|null} jitter - Desvío estándar de los intervalos sin contar huecos (ms).
+ * @property {SamplingGap[]} gaps - Huecos con muestras perdidas.
+ * @property {number} missing - Total de muestras perdidas estimadas.
+ */
+
+/**
+ * Frecuencia real, jitter y huecos de una serie de timestamps. Un intervalo
+ * cuenta como hueco si supera `gapFactor` veces el intervalo nominal.
+ *
+ * @param {number[]} timesMs - Timestamps ordenados (ms).
+ * @param {Object} [opts]
+ * @param {number} [opts.gapFactor=2.5] - Múltiplo del intervalo nominal que marca un hueco.
+ * @returns {SamplingStats}
+ */
+export function samplingStats(timesMs, { gapFactor = 2.5 } = {}) {
+  const count = timesMs.length;
+  const duration = count > 1 ? timesMs[count - 1] - timesMs[0] : 0;
+  const rate = estimateSampleRate(timesMs);
+  if (!rate) {
+    return { count, duration, rate: null, meanRate: null, jitter: null, gaps: [], missing: 0 };
+  }
+  const nominal = 1000 / rate;
+  const gaps = [];
+  const regular = [];
+  for (let i = 1; i < count; i++) {
+    const dt = timesMs[i] - timesMs[i - 1];
+    if (dt > gapFactor * nominal) {
+      gaps.push({
+        start: timesMs[i - 1],
+        end: timesMs[i],
+        duration: dt,
+        missing: Math.round(dt / nominal) - 1,
+      });
+    } else if (dt > 0) {
+      regular.push(dt);
+    }
+  }
+  const mean = regular.reduce((s, v) => s + v, 0) / (regular.length || 1);
+  const variance = regular.reduce((s, v) => s + (v - mean) ** 2, 0) / (regular.length || 1);
+  return {
+    count,
+    duration,
+    rate,
+    meanRate: duration > 0 ? ((count - 1) * 1000) / duration : null,
+    jitter: Math.sqrt(variance),
+    gaps,
+    missing: gaps.reduce((s, g) => s + g.missing, 0),
+  };
+}
+
+/**
+ * Remuestrea a una frecuencia uniforme por interpolación lineal, empezando en
+ * la primera muestra. Se interpolan ax/ay/az y, si están, gx/gy/gz; las muestras
+ * desordenadas o con timestamp repetido se descartan antes. Los huecos se
+ * rellenan igual (interpolados): conviene informarlos con samplingStats().
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number}>} samples - t en ms.
+ * @param {number} rateHz - Frecuencia de salida (Hz).
+ * @returns {Array<{t:number, ax:number, ay:number, az:number, mag:number}>}
+ * @throws {Error} Si la frecuencia no es válida.
+ */
+export function resampleUniform(samples, rateHz) {
+  if (!(rateHz > 0)) throw new Error(`resampleUniform: ${t('error.sampling.ratePositive')}`);
+  const ordered = [];
+  for (const s of samples) {
+    if (!ordered.length || s.t > ordered[ordered.length - 1].t) ordered.push(s);
+  }
+  if (ordered.length < 2) return ordered.map((s) => ({ ...s }));
+
+  const fields = INTERPOLATED_FIELDS.filter((f) => Number.isFinite(ordered[0][f]));
+  const step = 1000 / rateHz;
+  const t0 = ordered[0].t;
+  const n = Math.floor((ordered[ordered.length - 1].t - t0) / step) + 1;
+  const out = [];
+  let j = 0;
+  for (let k = 0; k < n; k++) {
+    const t = t0 + k * step;
+    while (j + 2 < ordered.length && ordered[j + 1].t <= t) j++;
+    const a = ordered[j];
+    const b = ordered[j + 1];
+    const w = Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t)));
+    const s = { t };
+    for (const f of fields) s[f] = a[f] + w * (b[f] - a[f]);
+    s.mag = Math.hypot(s.ax, s.ay, s.az);
+    out.push(s);
+  }
+  return out;
+}
@@ -0,0 +1,77 @@
+/**
+ * SessionStore.js
+ * Persistencia local (IndexedDB) de las sesiones de captura de saltos.
+ * Cada captura detenida se guarda con sus muestras crudas, los eventos detectados,
+ * las métricas calculadas y los ajustes usados, para poder reabrirla más tarde.
+ */
+
+import { STORES, withStore } from './LocalDb.js';
+
+/**
+ * @typedef {Object} JumpSession
+ * @property {number} [id] - Clave autoincremental asignada por IndexedDB.
+ * @property {number} createdAt - Fecha de la captura (ms desde epoch).
+ * @property {Array<{t:number, ax:number, ay:number, az:number, mag:number, gx?:number, gy?:number, gz?:number}>} motionData
+ *   - Muestras de aceleración (m/s^2) y, si hay giroscopio, velocidad angular (rad/s).
+ * @property {Array<{t:number, alpha:number, beta:number, gamma:number}>} orientationData - Muestras de orientación.
+ * @property {Object[]} events - Eventos de salto detectados (JumpEventTimes); los corregidos o
+ *   agregados a mano llevan `manual: true`.
+ * @property {number} [editedAt] - Fecha de la última corrección manual (ms desde epoch).
+ * @property {Object[]} items - Métricas por salto { tf, h, tc, rsi, quality, evt }.
+ * @property {Object|null} summary - Resumen de la serie (summarizeSeries).
+ * @property {Object} [sampling] - Frecuencia, jitter y huecos de las muestras (samplingStats en Sampling.js).
+ * @property {Object} [quality] - Calidad de señal de la captura y de cada salto (SignalQuality.js).
+ * @property {Object|null} [calibration] - Estadísticas de la calibración en quietud (CalibrationStats
+ *   en Calibration.js); null en capturas importadas.
+ * @property {Object} settings - Ajustes de sensor y detección usados en la captura.
+ * @property {number|null} [athleteId] - Atleta evaluado (ver AthleteStore.js).
+ * @property {Object|null} [athlete] - Copia del perfil del atleta al momento de la captura.
+ */
+
+/**
+ * Guarda una sesión (nueva o existente si trae `id`).
+ * @param {JumpSession} session
+ * @returns {Promise<number>} id de la sesión guardada.
+ */
+export function saveSession(session) {
+  return withStore(STORES.SESSIONS, 'readwrite', (store) => store.put(session));
+}
+
+/**
+ * Lista todas las sesiones guardadas, de la más reciente a la más antigua.
+ * @returns {Promise<JumpSession[]>}
+ */
+export async function listSessions() {
+  const sessions = await withStore(STORES.SESSIONS, 'readonly', (store) => store.getAll());
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Obtiene una sesión por id.
+ * @param {number} id
+ * @returns {Promise<JumpSession|undefined>}
+ */
+export function getSession(id) {
+  return withStore(STORES.SESSIONS, 'readonly', (store) => store.get(id));
+}
+
+/**
+ * Elimina una sesión por id.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteSession(id) {
+  return withStore(STORES.SESSIONS, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Lista las sesiones de un atleta, de la más reciente a la más antigua.
+ * @param {number} athleteId
+ * @returns {Promise<JumpSession[]>}
+ */
+export async function listSessionsByAthlete(athleteId) {
+  const sessions = await withStore(STORES.SESSIONS, 'readonly', (store) =>
+    store.index('athleteId').getAll(athleteId)
+  );
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+}
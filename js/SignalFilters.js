@@ -0,0 +1,149 @@
+/**
+ * SignalFilters.js
+ * Filtros digitales para acondicionar la aceleración:
+ *  1) Diseño de Butterworth pasa-bajos / pasa-altos (transformación bilineal
+ *     con pre-distorsión de frecuencia) como cascada de secciones de 2º orden
+ *  2) Filtrado causal muestra a muestra, para la detección en vivo
+ *  3) Filtrado de fase cero (adelante-atrás, como filtfilt) para el análisis
+ *     posterior: no desplaza en el tiempo el despegue ni el aterrizaje
+ *
+ * Una cascada es un array de secciones { b: [b0, b1, b2], a: [a1, a2] } con
+ * a0 = 1; un array vacío deja pasar la señal sin cambios.
+ */
+
+import { t } from './I18n.js';
+
+/**
+ * @typedef {Object} Biquad
+ * @property {number[]} b - Coeficientes del numerador [b0, b1, b2].
+ * @property {number[]} a - Coeficientes del denominador [a1, a2] (a0 = 1).
+ */
+
+/**
+ * Diseña un Butterworth digital.
+ *
+ * @param {'lowpass'|'highpass'} type - Tipo de filtro.
+ * @param {number} order - Orden (1–8).
+ * @param {number} cutoffHz - Frecuencia de corte (-3 dB) en Hz.
+ * @param {number} sampleRateHz - Frecuencia de muestreo en Hz.
+ * @returns {Biquad[]}
+ * @throws {Error} Si el tipo, el orden o la frecuencia de corte no son válidos.
+ */
+export function butterworth(type, order, cutoffHz, sampleRateHz) {
+  if (type !== 'lowpass' && type !== 'highpass') {
+    throw new Error(`butterworth: ${t('error.filter.unknownType', { type })}`);
+  }
+  if (!Number.isInteger(order) || order < 1 || order > 8) {
+    throw new Error(`butterworth: ${t('error.filter.order')}`);
+  }
+  if (!(cutoffHz > 0 && cutoffHz < sampleRateHz / 2)) {
+    throw new Error(`butterworth: ${t('error.filter.cutoff')}`);
+  }
+  const K = Math.tan((Math.PI * cutoffHz) / sampleRateHz);
+  const lowpass = type === 'lowpass';
+  const sections = [];
+
+  // Pares de polos conjugados del prototipo analógico: s² + c·s + 1
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    const c = 2 * Math.sin((Math.PI * (2 * k + 1)) / (2 * order));
+    const n = 1 / (1 + c * K + K * K);
+    const b0 = lowpass ? K * K * n : n;
+    sections.push({
+      b: [b0, lowpass ? 2 * b0 : -2 * b0, b0],
+      a: [2 * (K * K - 1) * n, (1 - c * K + K * K) * n],
+    });
+  }
+  // Orden impar: polo real s + 1
+  if (order % 2) {
+    const n = 1 / (1 + K);
+    const b0 = lowpass ? K * n : n;
+    sections.push({ b: [b0, lowpass ? b0 : -b0, 0], a: [(K - 1) * n, 0] });
+  }
+  return sections;
+}
+
+/**
+ * Estado de cada sección (forma directa II transpuesta) en régimen permanente
+ * para una entrada constante x0, para arrancar sin transitorio.
+ * @private
+ */
+function steadyState(sections, x0) {
+  let x = x0;
+  return sections.map(({ b, a }) => {
+    const y = (x * (b[0] + b[1] + b[2])) / (1 + a[0] + a[1]);
+    const z = [y - b[0] * x, b[2] * x - a[1] * y];
+    x = y;
+    return z;
+  });
+}
+
+/** Avanza una muestra por la cascada, actualizando el estado. @private */
+function stepCascade(sections, state, x) {
+  let y = x;
+  for (let i = 0; i < sections.length; i++) {
+    const { b, a } = sections[i];
+    const z = state[i];
+    const input = y;
+    y = b[0] * input + z[0];
+    z[0] = b[1] * input - a[0] * y + z[1];
+    z[1] = b[2] * input - a[1] * y;
+  }
+  return y;
+}
+
+/**
+ * Filtro causal muestra a muestra sobre una cascada de secciones.
+ */
+export class CausalFilter {
+  /**
+   * @param {Biquad[]} sections - Cascada (ver butterworth); vacía = sin filtrar.
+   * @param {number} [initial=0] - Valor de entrada en régimen permanente al arrancar.
+   */
+  constructor(sections, initial = 0) {
+    this.sections = sections;
+    this.reset(initial);
+  }
+
+  /**
+   * Reinicia el estado como si la entrada hubiera valido `initial` desde siempre.
+   * @param {number} [initial=0]
+   */
+  reset(initial = 0) {
+    this._state = steadyState(this.sections, initial);
+  }
+
+  /**
+   * Filtra una muestra.
+   * @param {number} x
+   * @returns {number}
+   */
+  process(x) {
+    return stepCascade(this.sections, this._state, x);
+  }
+}
+
+/**
+ * Filtrado de fase cero: pasa la señal hacia adelante y hacia atrás, con
+ * extensión por reflexión impar en los bordes para evitar transitorios.
+ * La respuesta en amplitud queda al cuadrado (el doble de orden efectivo).
+ *
+ * @param {Biquad[]} sections - Cascada (ver butterworth); vacía = sin filtrar.
+ * @param {number[]} x - Señal.
+ * @returns {number[]} Señal filtrada, del mismo largo.
+ */
+export function filtfilt(sections, x) {
+  const n = x.length;
+  if (!sections.length || n < 2) return [...x];
+  const pad = Math.min(3 * (2 * sections.length + 1), n - 1);
+  const ext = [];
+  for (let i = pad; i > 0; i--) ext.push(2 * x[0] - x[i]);
+  ext.push(...x);
+  for (let i = n - 2; i >= n - 1 - pad; i--) ext.push(2 * x[n - 1] - x[i]);
+
+  const run = (signal) => {
+    const state = steadyState(sections, signal[0]);
+    return signal.map((v) => stepCascade(sections, state, v));
+  };
+  const y = run(run(ext).reverse()).reverse();
+  return y.slice(pad, pad + n);
+}
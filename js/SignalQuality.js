@@ -0,0 +1,288 @@
+/**
+ * SignalQuality.js
+ * Calidad de la señal de una captura y de cada salto detectado:
+ *  1) Saturación del acelerómetro (lecturas pegadas al máximo del rango, ±2 g a ±16 g)
+ *  2) Huecos de muestreo (ver samplingStats en Sampling.js)
+ *  3) Cambio de orientación del teléfono entre antes y después de cada salto
+ *     (se movió en el cinturón), por la dirección de la gravedad en reposo
+ *  4) Fase de vuelo ruidosa: la meseta de caída libre no es plana
+ *
+ * Cada problema trae un motivo legible; los de severidad 'error' invalidan el
+ * salto (sus tiempos no son confiables), los 'warning' sólo lo señalan.
+ * El motivo se guarda también como clave del catálogo (I18n.js) y parámetros,
+ * para volver a mostrarlo en otro idioma.
+ */
+
+import { JUMP_DETECTION_DEFAULTS } from './settings.js';
+import { t } from './I18n.js';
+
+/** Tipos de problema detectados. */
+export const QUALITY_ISSUES = Object.freeze({
+  CLIPPING: 'clipping',
+  GAP: 'gap',
+  ORIENTATION: 'orientation',
+  NOISY_FLIGHT: 'noisy-flight',
+});
+
+const G = 9.81;
+const SEVERITY_PENALTY = Object.freeze({ warning: 20, error: 50 });
+const CLIP_MIN = 1.5 * G;        // m/s^2, ningún teléfono satura por debajo
+const CLIP_TOLERANCE = 0.05;     // m/s^2 alrededor del extremo de cada eje
+const CLIP_MIN_RUN = 3;          // lecturas seguidas en el extremo
+const QUIET_WINDOW = 0.3;        // s de reposo antes y después de cada salto
+const SETTLE_TIME = 0.4;         // s tras el aterrizaje hasta volver al reposo
+const ORIENTATION_MAX_DEG = 15;  // giro del teléfono tolerado entre reposos
+const FLIGHT_NOISE_MAX = 1.5;    // m/s^2, desvío de a_vert cruda en el centro del vuelo
+
+/**
+ * @typedef {Object} QualityIssue
+ * @property {string} type - Uno de QUALITY_ISSUES.
+ * @property {'warning'|'error'} severity
+ * @property {string} message - Motivo legible, en el idioma de la evaluación.
+ * @property {string} messageKey - Clave del motivo en el catálogo de mensajes.
+ * @property {Object} [params] - Parámetros del motivo.
+ * @property {number} [start] - Inicio del problema (s desde el inicio de la captura).
+ * @property {number} [end] - Fin del problema (s).
+ */
+
+/**
+ * @typedef {Object} JumpQuality
+ * @property {number} score - 0–100.
+ * @property {boolean} valid - false si algún problema es 'error'.
+ * @property {QualityIssue[]} issues
+ */
+
+/**
+ * @typedef {Object} CaptureQuality
+ * @property {number} score - 0–100, por los problemas de la captura completa.
+ * @property {QualityIssue[]} issues - Problemas de la captura completa.
+ * @property {JumpQuality[]} jumps - Calidad de cada salto, en el orden de los eventos.
+ */
+
+/** Motivo legible y su clave de catálogo. @private */
+function reason(messageKey, params) {
+  return { message: t(messageKey, params), messageKey, ...(params ? { params } : {}) };
+}
+
+/**
+ * Motivo de un problema en el idioma actual. Las sesiones guardadas antes de
+ * los catálogos sólo tienen el texto.
+ *
+ * @param {QualityIssue} issue
+ * @returns {string}
+ */
+export function issueMessage(issue) {
+  return issue.messageKey ? t(issue.messageKey, issue.params) : issue.message;
+}
+
+function scoreOf(issues) {
+  return Math.max(0, 100 - issues.reduce((s, i) => s + SEVERITY_PENALTY[i.severity], 0));
+}
+
+const overlaps = (a, b) => a.start <= b.end && b.start <= a.end;
+
+/**
+ * Tramos en los que algún eje queda pegado a su valor extremo.
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number}>} samples - t en ms, crudas.
+ * @returns {Array<{axis:string, start:number, end:number, value:number}>} start/end en ms.
+ */
+export function findClipping(samples) {
+  const runs = [];
+  for (const axis of ['ax', 'ay', 'az']) {
+    const peak = samples.reduce((m, s) => Math.max(m, Math.abs(s[axis])), 0);
+    if (peak < CLIP_MIN) continue;
+    let first = -1;
+    const close = (end) => {
+      if (first >= 0 && end - first >= CLIP_MIN_RUN) {
+        runs.push({ axis, start: samples[first].t, end: samples[end - 1].t, value: peak });
+      }
+      first = -1;
+    };
+    samples.forEach((s, i) => {
+      if (Math.abs(s[axis]) >= peak - CLIP_TOLERANCE) {
+        if (first < 0) first = i;
+      } else {
+        close(i);
+      }
+    });
+    close(samples.length);
+  }
+  return runs.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Dirección media de la aceleración (gravedad en reposo) entre from y to (s);
+ * null sin muestras o si no incluyen la gravedad (aceleración lineal).
+ * @private
+ */
+function restDirection(samples, t0, from, to) {
+  const sum = [0, 0, 0];
+  let n = 0;
+  for (const s of samples) {
+    const t = (s.t - t0) / 1000;
+    if (t < from || t > to) continue;
+    sum[0] += s.ax;
+    sum[1] += s.ay;
+    sum[2] += s.az;
+    n++;
+  }
+  const len = Math.hypot(...sum);
+  return n && len / n > G / 2 ? sum.map((v) => v / len) : null;
+}
+
+/** Ángulo en grados entre dos vectores unitarios. @private */
+function angleDeg(a, b) {
+  const c = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  return (Math.acos(Math.min(1, Math.max(-1, c))) * 180) / Math.PI;
+}
+
+function std(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Evalúa la calidad de una captura y de cada salto detectado en ella.
+ *
+ * @param {Object} capture
+ * @param {Array<{t:number, ax:number, ay:number, az:number}>} capture.motionData - Muestras crudas (t en ms).
+ * @param {Array<{t:number, ax:number, ay:number, az:number}>} capture.samples - Muestras analizadas
+ *   (remuestreadas); su primera muestra es el cero de los tiempos de los eventos.
+ * @param {Array<{t:number, aVert:number}>} capture.trace - Traza de analyzeCapture (t en s).
+ * @param {Object[]} capture.events - Eventos de salto (JumpEventTimes, en s).
+ * @param {Object} [capture.sampling] - samplingStats de las muestras crudas.
+ * @param {number} [capture.calibMs] - Ventana de calibración (ms).
+ * @returns {CaptureQuality}
+ */
+export function assessCaptureQuality({
+  motionData,
+  samples,
+  trace,
+  events,
+  sampling,
+  calibMs = JUMP_DETECTION_DEFAULTS.calibMs,
+}) {
+  if (!samples.length) return { score: 100, issues: [], jumps: [] };
+  const t0 = samples[0].t;
+  const duration = (samples[samples.length - 1].t - t0) / 1000;
+  const toSeconds = ({ start, end }) => ({ start: (start - t0) / 1000, end: (end - t0) / 1000 });
+  const clipping = findClipping(motionData).map((c) => ({ ...c, ...toSeconds(c) }));
+  const gaps = (sampling?.gaps ?? []).map((g) => ({ ...g, ...toSeconds(g) }));
+
+  const issues = [];
+  if (clipping.length) {
+    const axes = [...new Set(clipping.map((c) => c.axis.slice(1)))].join(', ');
+    issues.push({
+      type: QUALITY_ISSUES.CLIPPING,
+      severity: 'warning',
+      ...reason('quality.clipping', {
+        count: clipping.length,
+        axes,
+        g: Math.round(clipping[0].value / G),
+      }),
+    });
+  }
+  if (gaps.length) {
+    issues.push({
+      type: QUALITY_ISSUES.GAP,
+      severity: 'warning',
+      ...reason('quality.gaps', {
+        count: gaps.length,
+        missing: sampling.missing,
+        longest: Math.round(Math.max(...gaps.map((g) => g.duration))),
+      }),
+    });
+  }
+  // Reposo de la calibración contra el reposo tras el último salto
+  const last = events[events.length - 1];
+  if (last) {
+    const before = restDirection(samples, t0, 0, calibMs / 1000);
+    const from = last.tLanding + SETTLE_TIME;
+    const after = from + QUIET_WINDOW <= duration
+      ? restDirection(samples, t0, from, from + QUIET_WINDOW)
+      : null;
+    const angle = before && after ? angleDeg(before, after) : 0;
+    if (angle > ORIENTATION_MAX_DEG) {
+      issues.push({
+        type: QUALITY_ISSUES.ORIENTATION,
+        severity: 'warning',
+        ...reason('quality.orientation', { angle: Math.round(angle) }),
+      });
+    }
+  }
+
+  const jumps = events.map((evt, i) => {
+    const jumpIssues = [];
+    const span = { start: evt.tContactStart, end: evt.tLanding + JUMP_DETECTION_DEFAULTS.impactWindow };
+
+    const lostInJump = gaps.filter((g) => overlaps(g, span));
+    if (lostInJump.length) {
+      jumpIssues.push({
+        type: QUALITY_ISSUES.GAP,
+        severity: 'error',
+        ...reason('quality.jumpGap', {
+          missing: lostInJump.reduce((s, g) => s + g.missing, 0),
+        }),
+        start: lostInJump[0].start,
+        end: lostInJump[lostInJump.length - 1].end,
+      });
+    }
+
+    const clippedInJump = clipping.filter((c) => overlaps(c, span));
+    if (clippedInJump.length) {
+      jumpIssues.push({
+        type: QUALITY_ISSUES.CLIPPING,
+        severity: 'warning',
+        ...reason('quality.jumpClipping'),
+        start: clippedInJump[0].start,
+        end: clippedInJump[clippedInJump.length - 1].end,
+      });
+    }
+
+    // Reposo antes del contacto contra reposo tras el aterrizaje, si ambos caben
+    // entre el salto anterior y el siguiente (los rebotes no tienen reposo previo)
+    const prevEnd = i > 0 ? events[i - 1].tLanding + SETTLE_TIME : 0;
+    const nextStart = i + 1 < events.length ? events[i + 1].tContactStart : duration;
+    const beforeFrom = evt.tContactStart - QUIET_WINDOW;
+    const afterFrom = evt.tLanding + SETTLE_TIME;
+    if (beforeFrom >= prevEnd && afterFrom + QUIET_WINDOW <= nextStart) {
+      const before = restDirection(samples, t0, beforeFrom, evt.tContactStart);
+      const after = restDirection(samples, t0, afterFrom, afterFrom + QUIET_WINDOW);
+      const angle = before && after ? angleDeg(before, after) : 0;
+      if (angle > ORIENTATION_MAX_DEG) {
+        jumpIssues.push({
+          type: QUALITY_ISSUES.ORIENTATION,
+          severity: 'warning',
+          ...reason('quality.jumpOrientation', { angle: Math.round(angle) }),
+          start: evt.tContactStart,
+          end: afterFrom + QUIET_WINDOW,
+        });
+      }
+    }
+
+    // Centro del vuelo (60 %), lejos de los bordes filtrados
+    const edge = 0.2 * (evt.tLanding - evt.tTakeoff);
+    const flight = trace
+      .filter((p) => p.t >= evt.tTakeoff + edge && p.t <= evt.tLanding - edge)
+      .map((p) => p.aVert);
+    const noise = flight.length >= 3 ? std(flight) : 0;
+    if (noise > FLIGHT_NOISE_MAX) {
+      jumpIssues.push({
+        type: QUALITY_ISSUES.NOISY_FLIGHT,
+        severity: 'warning',
+        ...reason('quality.noisyFlight', { std: Math.round(noise * 10) / 10 }),
+        start: evt.tTakeoff,
+        end: evt.tLanding,
+      });
+    }
+
+    return {
+      score: scoreOf(jumpIssues),
+      valid: !jumpIssues.some((x) => x.severity === 'error'),
+      issues: jumpIssues,
+    };
+  });
+
+  return { score: scoreOf(issues), issues, jumps };
+}
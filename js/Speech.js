@@ -0,0 +1,299 @@
+/**
+ * Speech.js
+ * Resultados hablados con la Web Speech API (speechSynthesis), para el atleta
+ * que lleva el teléfono en la espalda y no ve la pantalla:
+ *  1) Ajustes guardados en localStorage: nivel de detalle, idioma y voz
+ *  2) Frases de cada salto y del resumen de la captura, en el idioma de la voz
+ *     y con las unidades elegidas (Units.js) dichas con palabras
+ *  3) Sin síntesis de voz, o si el nivel no anuncia ese momento, announce*
+ *     devuelve false y quien llama usa sus pitidos
+ *
+ * Cada salto interrumpe lo que quede por decir del anterior, así el anuncio
+ * no se atrasa en las series de rebotes; el resumen no se interrumpe.
+ */
+
+import {
+  LOCALES,
+  LOCALE_NAMES,
+  getLocale,
+  onLocaleChange,
+  t,
+  formatNumber,
+} from './I18n.js';
+import { QUANTITIES, getUnits, convert, rsiOf } from './Units.js';
+
+/** Qué se anuncia: nada, sólo el resumen, cada salto o cada salto con detalle. */
+export const VERBOSITY = Object.freeze({
+  OFF: 'off',
+  SUMMARY: 'summary',
+  JUMPS: 'jumps',
+  DETAILED: 'detailed',
+});
+
+/** Idioma de la voz que sigue al de la interfaz. */
+export const AUTO_LANGUAGE = 'auto';
+
+export const DEFAULT_SPEECH_SETTINGS = Object.freeze({
+  verbosity: VERBOSITY.JUMPS,
+  lang: AUTO_LANGUAGE,
+  voice: null, // voiceURI; null = la voz por defecto del idioma
+});
+
+// Decimales dichos por unidad: menos que en pantalla, se escuchan mejor
+const SPOKEN_DIGITS = Object.freeze({ m: 2, cm: 0, in: 1, s: 2, ms: 0 });
+const SPOKEN_RSI_DIGITS = 1;
+
+const STORAGE_KEY = 'activsensor.speech';
+
+let settings = initialSettings();
+
+/** Ajustes guardados, completados con los por defecto. @private */
+function initialSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) ?? '{}') || {};
+  } catch {
+    // Almacenamiento bloqueado o dañado: ajustes por defecto
+  }
+  return validSettings(stored, DEFAULT_SPEECH_SETTINGS);
+}
+
+/** Toma de `changes` sólo los valores válidos; el resto sale de `base`. @private */
+function validSettings(changes, base) {
+  const next = { ...base };
+  if (Object.values(VERBOSITY).includes(changes.verbosity)) next.verbosity = changes.verbosity;
+  if (changes.lang === AUTO_LANGUAGE || Object.values(LOCALES).includes(changes.lang)) {
+    next.lang = changes.lang;
+  }
+  if (changes.voice === null || typeof changes.voice === 'string') next.voice = changes.voice;
+  return Object.freeze(next);
+}
+
+/**
+ * Indica si el navegador puede hablar.
+ * @returns {boolean}
+ */
+export function isSpeechSupported() {
+  return Boolean(globalThis.speechSynthesis && globalThis.SpeechSynthesisUtterance);
+}
+
+/**
+ * Ajustes actuales.
+ * @returns {{verbosity:string, lang:string, voice:string|null}}
+ */
+export function getSpeechSettings() {
+  return settings;
+}
+
+/**
+ * Cambia uno o más ajustes y los guarda.
+ * @param {{verbosity?:string, lang?:string, voice?:string|null}} changes - Los no válidos se ignoran.
+ */
+export function setSpeechSettings(changes) {
+  settings = validSettings(changes, settings);
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Sin almacenamiento los ajustes duran hasta recargar
+  }
+}
+
+/**
+ * Idioma en que se habla: el elegido o, en automático, el de la interfaz.
+ * @returns {string} Uno de LOCALES.
+ */
+export function speechLocale() {
+  return settings.lang === AUTO_LANGUAGE ? getLocale() : settings.lang;
+}
+
+/**
+ * Voces instaladas para un idioma. Algunos navegadores las cargan tarde
+ * (evento voiceschanged), así que puede estar vacía al principio.
+ * @param {string} [locale=speechLocale()]
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function voicesFor(locale = speechLocale()) {
+  if (!isSpeechSupported()) return [];
+  return globalThis.speechSynthesis
+    .getVoices()
+    .filter((voice) => voice.lang.toLowerCase().startsWith(locale));
+}
+
+/** Distancia o tiempo convertido a la unidad elegida y dicho con palabras. @private */
+function spokenQuantity(value, quantity, locale) {
+  const unit = getUnits()[quantity];
+  return t(
+    `speech.${unit}`,
+    { value: formatNumber(convert(value, quantity), SPOKEN_DIGITS[unit], locale) },
+    locale
+  );
+}
+
+/**
+ * Frase de un salto, p.ej. "Salto 3, 42 centímetros" o, con detalle,
+ * "Salto 3, 42 centímetros, RSI 1,8, contacto 230 milisegundos".
+ *
+ * @param {number} n - Número de salto (desde 1).
+ * @param {{h:number, tf:number, tc:number, rsi:number}} metrics
+ * @param {string} [verbosity=getSpeechSettings().verbosity]
+ * @returns {string}
+ */
+export function jumpPhrase(n, metrics, verbosity = settings.verbosity) {
+  const locale = speechLocale();
+  const jump = t(
+    'speech.jump',
+    { n, height: spokenQuantity(metrics.h, QUANTITIES.LENGTH, locale) },
+    locale
+  );
+  if (verbosity !== VERBOSITY.DETAILED) return jump;
+  return t(
+    'speech.jumpDetails',
+    {
+      jump,
+      rsi: formatNumber(rsiOf(metrics), SPOKEN_RSI_DIGITS, locale),
+      contact: spokenQuantity(metrics.tc, QUANTITIES.TIME, locale),
+    },
+    locale
+  );
+}
+
+/**
+ * Frase del resumen de una captura: cantidad de saltos y mejor altura; con
+ * detalle también la altura media y el mejor RSI.
+ *
+ * @param {Array<{h:number, tf:number, tc:number, rsi:number}>} items - Métricas por salto.
+ * @param {string} [verbosity=getSpeechSettings().verbosity]
+ * @returns {string}
+ */
+export function summaryPhrase(items, verbosity = settings.verbosity) {
+  const locale = speechLocale();
+  if (!items.length) return t('results.noJumps', {}, locale);
+  const heights = items.map((it) => it.h);
+  const summary = t(
+    items.length === 1 ? 'speech.summaryOne' : 'speech.summary',
+    {
+      count: items.length,
+      height: spokenQuantity(Math.max(...heights), QUANTITIES.LENGTH, locale),
+    },
+    locale
+  );
+  if (verbosity !== VERBOSITY.DETAILED) return summary;
+  const mean = heights.reduce((s, h) => s + h, 0) / heights.length;
+  return t(
+    'speech.summaryDetails',
+    {
+      summary,
+      mean: spokenQuantity(mean, QUANTITIES.LENGTH, locale),
+      rsi: formatNumber(Math.max(...items.map((it) => rsiOf(it))), SPOKEN_RSI_DIGITS, locale),
+    },
+    locale
+  );
+}
+
+/**
+ * Dice un texto con la voz e idioma elegidos.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {boolean} [opts.interrupt=false] - Corta lo que se esté diciendo.
+ * @returns {boolean} false si el navegador no puede hablar.
+ */
+export function speak(text, { interrupt = false } = {}) {
+  if (!isSpeechSupported()) return false;
+  const synth = globalThis.speechSynthesis;
+  if (interrupt) synth.cancel();
+  const utterance = new globalThis.SpeechSynthesisUtterance(text);
+  const locale = speechLocale();
+  const voices = voicesFor(locale);
+  const voice = voices.find((v) => v.voiceURI === settings.voice) ?? voices.find((v) => v.default);
+  utterance.lang = voice?.lang ?? locale;
+  if (voice) utterance.voice = voice;
+  synth.speak(utterance);
+  return true;
+}
+
+/**
+ * Anuncia un salto si el nivel de detalle lo pide.
+ * @param {number} n - Número de salto (desde 1).
+ * @param {{h:number, tf:number, tc:number, rsi:number}} metrics
+ * @returns {boolean} true si se habló; si no, quien llama usa su pitido.
+ */
+export function announceJump(n, metrics) {
+  if (settings.verbosity !== VERBOSITY.JUMPS && settings.verbosity !== VERBOSITY.DETAILED) {
+    return false;
+  }
+  return speak(jumpPhrase(n, metrics), { interrupt: true });
+}
+
+/**
+ * Anuncia el resumen de una captura si el nivel de detalle lo pide.
+ * @param {Array<{h:number, tf:number, tc:number, rsi:number}>} items
+ * @returns {boolean} true si se habló.
+ */
+export function announceSummary(items) {
+  if (settings.verbosity === VERBOSITY.OFF) return false;
+  return speak(summaryPhrase(items));
+}
+
+/**
+ * Habilita la voz en navegadores que sólo la permiten tras un gesto del
+ * usuario (iOS): se llama desde un click.
+ */
+export function primeSpeech() {
+  if (!isSpeechSupported()) return;
+  globalThis.speechSynthesis.speak(new globalThis.SpeechSynthesisUtterance(''));
+}
+
+/**
+ * Conecta los selectores de ajustes de voz. Las opciones fijas llevan
+ * data-i18n, así translatePage las traduce; la lista de voces se rehace al
+ * cargar las voces y al cambiar el idioma.
+ *
+ * @param {Object} selects
+ * @param {HTMLSelectElement} selects.verbosity
+ * @param {HTMLSelectElement} selects.lang
+ * @param {HTMLSelectElement} selects.voice
+ */
+export function bindSpeechSettings({ verbosity, lang, voice }) {
+  const option = (select, value, key, label) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    if (key) opt.dataset.i18n = key;
+    opt.textContent = key ? t(key) : label;
+    select.appendChild(opt);
+  };
+
+  verbosity.innerHTML = '';
+  Object.values(VERBOSITY).forEach((v) => option(verbosity, v, `speech.verbosity.${v}`));
+  verbosity.value = settings.verbosity;
+  verbosity.addEventListener('change', () => setSpeechSettings({ verbosity: verbosity.value }));
+
+  lang.innerHTML = '';
+  option(lang, AUTO_LANGUAGE, 'speech.lang.auto');
+  Object.values(LOCALES).forEach((locale) => option(lang, locale, null, LOCALE_NAMES[locale]));
+  lang.value = settings.lang;
+
+  const fillVoices = () => {
+    voice.innerHTML = '';
+    option(voice, '', 'speech.voice.default');
+    voicesFor().forEach((v) => option(voice, v.voiceURI, null, v.name));
+    voice.value = voicesFor().some((v) => v.voiceURI === settings.voice) ? settings.voice : '';
+  };
+  voice.addEventListener('change', () => setSpeechSettings({ voice: voice.value || null }));
+  lang.addEventListener('change', () => {
+    setSpeechSettings({ lang: lang.value });
+    fillVoices();
+  });
+  onLocaleChange(() => {
+    if (settings.lang === AUTO_LANGUAGE) fillVoices();
+  });
+
+  if (!isSpeechSupported()) {
+    [verbosity, lang, voice].forEach((select) => {
+      select.disabled = true;
+    });
+    fillVoices();
+    return;
+  }
+  globalThis.speechSynthesis.addEventListener?.('voiceschanged', fillVoices);
+  fillVoices();
+}
@@ -0,0 +1,147 @@
+/**
+ * ThresholdTuning.js
+ * Ajuste automático de los umbrales de detección a partir de unos saltos de
+ * práctica, para cada teléfono y forma de sujetarlo:
+ *  1) Ruido en reposo durante la calibración (desvío de a_vert y de |a| - g0)
+ *  2) Búsqueda de los saltos, aflojando los umbrales de vuelo si hace falta
+ *  3) Meseta de la fase de vuelo (percentil 95 de |a| - g0 y de a_vert)
+ *  4) Umbrales propuestos con margen sobre ambos, y verificación con la captura
+ *
+ * Sólo se ajustan los umbrales que los saltos de práctica permiten medir; los
+ * límites de contacto y de vuelo máximo quedan como estaban.
+ */
+
+import { JUMP_DETECTION_DEFAULTS } from './settings.js';
+import { analyzeCapture, conditionCapture } from './JumpDetectorCore.js';
+import { t } from './I18n.js';
+
+/** Umbrales que ajusta tuneThresholds(). */
+export const TUNED_THRESHOLDS = Object.freeze([
+  'flightEpsMag',
+  'flightEpsVert',
+  'moveThresh',
+  'restThresh',
+  'minFlight',
+]);
+
+/** Factores con los que se aflojan los umbrales de vuelo al buscar los saltos. */
+const SEARCH_SCALES = [1, 1.5, 2, 3, 4];
+const PLATEAU_MARGIN = 1.5;  // margen sobre el percentil 95 de la meseta de vuelo
+const NOISE_MARGIN = 4;      // desvíos de ruido en reposo que debe superar cada umbral
+const MIN_EPS = 0.15;        // m/s^2, piso de los umbrales de vuelo y reposo
+
+/**
+ * @typedef {Object} TuningResult
+ * @property {Object} thresholds - Umbrales propuestos (claves de TUNED_THRESHOLDS).
+ * @property {Object} stats - Mediciones en las que se basa la propuesta.
+ * @property {number} stats.jumps - Saltos de práctica usados.
+ * @property {number} stats.scale - Factor sobre los umbrales actuales que los encontró.
+ * @property {number} stats.restNoiseVert - Desvío de a_vert en reposo (m/s^2).
+ * @property {number} stats.restNoiseMag - Desvío de |a| - g0 en reposo (m/s^2).
+ * @property {number} stats.flightVertP95 - Percentil 95 de |a_vert| en vuelo (m/s^2).
+ * @property {number} stats.flightMagP95 - Percentil 95 de ||a| - g0| en vuelo (m/s^2).
+ * @property {number} stats.detected - Saltos que detecta la propuesta en la misma captura.
+ */
+
+function std(values) {
+  if (!values.length) return 0;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Propone umbrales de detección para este dispositivo a partir de una captura
+ * de práctica: unos segundos quieto (calibración) y algunos saltos máximos.
+ *
+ * @param {Array<{t:number, ax:number, ay:number, az:number, up?:number[]}>} samples - t en ms,
+ *   preferentemente remuestreadas a frecuencia uniforme (ver Sampling.js).
+ * @param {Object} [opts]
+ * @param {number} [opts.expectedJumps=3] - Saltos de práctica pedidos al atleta.
+ * @param {Object} [opts.base] - Umbrales actuales; por defecto JUMP_DETECTION_DEFAULTS.
+ * @param {Object} [opts.filter] - Filtrado (ver SIGNAL_FILTER_DEFAULTS).
+ * @returns {TuningResult}
+ * @throws {Error} Si la captura es muy corta o no se encuentra ningún salto.
+ */
+export function tuneThresholds(samples, { expectedJumps = 3, base = JUMP_DETECTION_DEFAULTS, filter } = {}) {
+  const current = { ...JUMP_DETECTION_DEFAULTS, ...base };
+  if (samples.length < 2 || samples[samples.length - 1].t - samples[0].t <= current.calibMs) {
+    throw new Error(`tuneThresholds: ${t('error.tuning.tooShort')}`);
+  }
+  const c = conditionCapture(samples, { calibMs: current.calibMs, filter });
+
+  // 1) Ruido en reposo durante la calibración
+  const restVert = [];
+  const restMag = [];
+  c.t.forEach((t, i) => {
+    if (t * 1000 > current.calibMs) return;
+    restVert.push(c.aVert[i]);
+    restMag.push(c.aTot[i] - c.g0);
+  });
+  const restNoiseVert = std(restVert);
+  const restNoiseMag = std(restMag);
+
+  // 2) Saltos con los umbrales actuales, o aflojando los de vuelo hasta encontrarlos
+  let found = { events: [], scale: null };
+  for (const scale of SEARCH_SCALES) {
+    const { events } = analyzeCapture(samples, {
+      ...current,
+      filter,
+      flightEpsMag: current.flightEpsMag * scale,
+      flightEpsVert: current.flightEpsVert * scale,
+    });
+    if (events.length > found.events.length) found = { events, scale };
+    if (events.length >= expectedJumps) break;
+  }
+  const { events, scale } = found;
+  if (!events.length) {
+    throw new Error(`tuneThresholds: ${t('error.tuning.noJumps')}`);
+  }
+
+  // 3) Meseta del vuelo: el 60 % central de cada vuelo, lejos de despegue y aterrizaje
+  const flightMag = [];
+  const flightVert = [];
+  for (const evt of events) {
+    const edge = 0.2 * (evt.tLanding - evt.tTakeoff);
+    c.t.forEach((t, i) => {
+      if (t >= evt.tTakeoff + edge && t <= evt.tLanding - edge) {
+        flightMag.push(Math.abs(c.aTot[i] - c.g0));
+        flightVert.push(Math.abs(c.aVert[i]));
+      }
+    });
+  }
+  const flightMagP95 = flightMag.length ? percentile(flightMag, 0.95) : 0;
+  const flightVertP95 = flightVert.length ? percentile(flightVert, 0.95) : 0;
+
+  // 4) Propuesta: margen sobre la meseta y sobre el ruido en reposo
+  const flightEpsVert = Math.max(PLATEAU_MARGIN * flightVertP95, NOISE_MARGIN * restNoiseVert, MIN_EPS);
+  const shortestFlight = Math.min(...events.map((e) => e.tLanding - e.tTakeoff));
+  const thresholds = {
+    flightEpsMag: round2(Math.max(PLATEAU_MARGIN * flightMagP95, NOISE_MARGIN * restNoiseMag, MIN_EPS)),
+    flightEpsVert: round2(flightEpsVert),
+    // Misma proporción que los valores por defecto: movimiento al doble del vuelo
+    moveThresh: round2(2 * flightEpsVert),
+    restThresh: round2(Math.max(NOISE_MARGIN * restNoiseVert, MIN_EPS)),
+    minFlight: round2(Math.min(current.minFlight, Math.max(0.05, shortestFlight / 2))),
+  };
+
+  const detected = analyzeCapture(samples, { ...current, ...thresholds, filter }).events.length;
+  return {
+    thresholds,
+    stats: {
+      jumps: events.length,
+      scale,
+      restNoiseVert,
+      restNoiseMag,
+      flightVertP95,
+      flightMagP95,
+      detected,
+    },
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Units.js
+ * Unidades de visualización de los resultados:
+ *  1) Altura en m, cm o pulgadas; tiempos en s o ms; RSI como altura/contacto
+ *     (m/s) o como vuelo/contacto (sin unidad)
+ *  2) Preferencia guardada en localStorage y aviso a los suscriptores al cambiarla
+ *  3) Conversión y formato con los decimales propios de cada unidad
+ *
+ * Las sesiones, el análisis y el JSON exportado quedan siempre en SI; sólo se
+ * convierte al mostrar o al exportar CSV. El RSI sin unidad no se deriva del
+ * RSI en m/s: se recalcula de cada salto (tf / tc), ver rsiOf.
+ */
+
+import { t, formatNumber } from './I18n.js';
+
+/** Magnitudes convertibles. */
+export const QUANTITIES = Object.freeze({
+  LENGTH: 'length',
+  TIME: 'time',
+  RSI: 'rsi',
+});
+
+/** Unidades disponibles por magnitud; la primera es la SI. */
+export const UNIT_OPTIONS = Object.freeze({
+  [QUANTITIES.LENGTH]: Object.freeze(['m', 'cm', 'in']),
+  [QUANTITIES.TIME]: Object.freeze(['s', 'ms']),
+  [QUANTITIES.RSI]: Object.freeze(['m/s', 'ratio']),
+});
+
+/** Unidades SI, en las que se guarda y analiza todo. */
+export const SI_UNITS = Object.freeze({
+  [QUANTITIES.LENGTH]: 'm',
+  [QUANTITIES.TIME]: 's',
+  [QUANTITIES.RSI]: 'm/s',
+});
+
+// Factor desde SI, decimales mostrados y símbolo de cada unidad
+const SCALES = Object.freeze({
+  m: { factor: 1, digits: 2, symbol: 'm' },
+  cm: { factor: 100, digits: 1, symbol: 'cm' },
+  in: { factor: 1 / 0.0254, digits: 1, symbol: 'in' },
+  s: { factor: 1, digits: 2, symbol: 's' },
+  ms: { factor: 1000, digits: 0, symbol: 'ms' },
+  'm/s': { factor: 1, digits: 2, symbol: 'm/s' },
+  ratio: { factor: 1, digits: 2, symbol: '' },
+});
+
+const STORAGE_KEY = 'activsensor.units';
+
+const listeners = new Set();
+let currentUnits = initialUnits();
+
+/** Unidades guardadas, completadas con las SI. @private */
+function initialUnits() {
+  let stored = {};
+  try {
+    stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) ?? '{}') || {};
+  } catch {
+    // Almacenamiento bloqueado o dañado: unidades SI
+  }
+  return validUnits(stored, SI_UNITS);
+}
+
+/** Toma de `changes` sólo las unidades válidas; el resto sale de `base`. @private */
+function validUnits(changes, base) {
+  const units = { ...base };
+  Object.values(QUANTITIES).forEach((quantity) => {
+    if (UNIT_OPTIONS[quantity].includes(changes[quantity])) units[quantity] = changes[quantity];
+  });
+  return Object.freeze(units);
+}
+
+/**
+ * Unidades actuales.
+ * @returns {{length:string, time:string, rsi:string}}
+ */
+export function getUnits() {
+  return currentUnits;
+}
+
+/**
+ * Cambia una o más unidades, las guarda y avisa a los suscriptores.
+ * @param {{length?:string, time?:string, rsi?:string}} changes - Las no válidas se ignoran.
+ */
+export function setUnits(changes) {
+  const units = validUnits(changes, currentUnits);
+  if (Object.values(QUANTITIES).every((q) => units[q] === currentUnits[q])) return;
+  currentUnits = units;
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(units));
+  } catch {
+    // Sin almacenamiento la preferencia dura hasta recargar
+  }
+  listeners.forEach((fn) => fn(units));
+}
+
+/**
+ * Suscribe una función a los cambios de unidades.
+ * @param {(units:Object) => void} listener
+ * @returns {() => void} Cancela la suscripción.
+ */
+export function onUnitsChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Convierte un valor SI a la unidad elegida de su magnitud.
+ * @param {number|null} value - En m, s o en la forma de RSI elegida (ver rsiOf).
+ * @param {string} quantity - Una de QUANTITIES.
+ * @param {Object} [units=getUnits()]
+ * @returns {number|null}
+ */
+export function convert(value, quantity, units = currentUnits) {
+  return value == null ? null : value * SCALES[units[quantity]].factor;
+}
+
+/**
+ * Símbolo de la unidad elegida ('' para el RSI sin unidad).
+ * @param {string} quantity
+ * @param {Object} [units=getUnits()]
+ * @returns {string}
+ */
+export function unitSymbol(quantity, units = currentUnits) {
+  return SCALES[units[quantity]].symbol;
+}
+
+/**
+ * Valor convertido y formateado según el idioma, sin unidad ('–' si falta).
+ * @param {number|null} value - Valor SI.
+ * @param {string} quantity
+ * @param {Object} [units=getUnits()]
+ * @returns {string}
+ */
+export function formatValue(value, quantity, units = currentUnits) {
+  if (value == null) return '–';
+  return formatNumber(convert(value, quantity, units), SCALES[units[quantity]].digits);
+}
+
+/**
+ * Valor convertido, formateado y con su unidad, p.ej. "35,2 cm".
+ * @param {number|null} value - Valor SI.
+ * @param {string} quantity
+ * @param {Object} [units=getUnits()]
+ * @returns {string}
+ */
+export function formatQuantity(value, quantity, units = currentUnits) {
+  const symbol = unitSymbol(quantity, units);
+  const text = formatValue(value, quantity, units);
+  return symbol && value != null ? `${text} ${symbol}` : text;
+}
+
+/**
+ * Etiqueta con la unidad entre paréntesis, p.ej. "Altura (cm)"; sin unidad queda igual.
+ * @param {string} label
+ * @param {string} quantity
+ * @param {Object} [units=getUnits()]
+ * @returns {string}
+ */
+export function withUnit(label, quantity, units = currentUnits) {
+  const symbol = unitSymbol(quantity, units);
+  return symbol ? `${label} (${symbol})` : label;
+}
+
+/**
+ * RSI de un salto en la forma elegida: altura / contacto (m/s, el guardado) o
+ * tiempo de vuelo / contacto (sin unidad).
+ * @param {{rsi:number, tf:number, tc:number}} item
+ * @param {Object} [units=getUnits()]
+ * @returns {number}
+ */
+export function rsiOf(item, units = currentUnits) {
+  return units[QUANTITIES.RSI] === 'ratio' ? item.tf / item.tc : item.rsi;
+}
+
+/**
+ * Saltos con `rsi` en la forma elegida, para estadísticas y gráficos. Con RSI
+ * en m/s devuelve el mismo arreglo.
+ * @template {{rsi:number, tf:number, tc:number}} T
+ * @param {T[]} items
+ * @param {Object} [units=getUnits()]
+ * @returns {T[]}
+ */
+export function withDisplayRsi(items, units = currentUnits) {
+  if (units[QUANTITIES.RSI] !== 'ratio') return items;
+  return items.map((item) => ({ ...item, rsi: rsiOf(item, units) }));
+}
+
+/**
+ * Llena un <select> con las unidades de una magnitud y cambia la preferencia al
+ * elegir una. Las opciones llevan data-i18n, así translatePage las traduce.
+ * @param {HTMLSelectElement} select
+ * @param {string} quantity - Una de QUANTITIES.
+ */
+export function bindUnitSelect(select, quantity) {
+  select.innerHTML = '';
+  UNIT_OPTIONS[quantity].forEach((unit) => {
+    const opt = document.createElement('option');
+    opt.value = unit;
+    opt.dataset.i18n = `units.${unit}`;
+    opt.textContent = t(opt.dataset.i18n);
+    select.appendChild(opt);
+  });
+  select.value = currentUnits[quantity];
+  select.addEventListener('change', () => setUnits({ [quantity]: select.value }));
+  onUnitsChange((units) => {
+    select.value = units[quantity];
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * ZipArchive.js
+ * Archivo ZIP mínimo sin compresión (método "stored"), para bajar varios
+ * archivos de texto en una sola descarga:
+ *  1) Los navegadores piden permiso ante varias descargas seguidas y iOS Safari
+ *     sólo guarda la primera; un único .zip evita ambos problemas
+ *  2) Sin compresión alcanza con CRC-32 y las cabeceras del formato, sin
+ *     dependencias externas
+ *
+ * Nombres en UTF-8 (bit 11 de las banderas), sin ZIP64: pensado para archivos
+ * de hasta unos cientos de MB.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const UTF8_FLAG = 0x0800;
+const ZIP_VERSION = 20; // 2.0: lo mínimo para carpetas y métodos básicos
+
+/**
+ * CRC-32 (polinomio de ZIP) de unos bytes.
+ * @param {Uint8Array} bytes
+ * @returns {number} Sin signo, 32 bits.
+ */
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Fecha y hora en formato MS-DOS (resolución de 2 s, desde 1980). @private */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Arma un .zip con archivos de texto (se guardan en UTF-8).
+ *
+ * @param {Array<{name:string, text:string}>} files - Nombres sin carpetas repetidos.
+ * @param {Date} [date=new Date()] - Fecha de modificación de todos los archivos.
+ * @returns {Blob} application/zip
+ */
+export function zipTextFiles(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date: day } = dosDateTime(date);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.text);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // firma de cabecera local
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // sin compresión
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // firma de entrada del directorio central
+    entry.setUint16(4, ZIP_VERSION, true);
+    entry.setUint16(6, ZIP_VERSION, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    // Comentario, disco, atributos: en cero
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((s, part) => s + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // firma de fin del directorio central
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
@@ -0,0 +1,274 @@
+// Analysis chart: vertical acceleration with each jump's phases drawn on top.
+// Contact and flight are shaded, contact start / takeoff / landing are marked
+// with vertical lines, and one jump can be highlighted (e.g. from its card).
+// Pinch-zoom and pan come from chartjs-plugin-zoom when it is loaded.
+// In edit mode the markers can be dragged and a tap can place a new jump;
+// panning is turned off meanwhile so drags move markers, not the view.
+
+import { t } from './I18n.js';
+
+const PHASE_COLORS = {
+  contact: 'rgba(249,115,22,',
+  flight: 'rgba(59,130,246,',
+};
+const MARKER_COLORS = {
+  tContactStart: 'rgb(107,114,128)',
+  tTakeoff: 'rgb(22,163,74)',
+  tLanding: 'rgb(220,38,38)',
+};
+// Seconds of context kept around a highlighted jump
+const HIGHLIGHT_MARGIN = 0.5;
+// Marker grab distance (px) and shortest contact/flight phase allowed (s)
+const HIT_PX = 12;
+const MIN_PHASE = 0.02;
+// Phases of a jump placed by hand, around the tapped takeoff (s)
+const NEW_JUMP = { contact: 0.3, flight: 0.4 };
+
+// Draws the phase regions behind the signals and the markers over them
+const jumpEventsPlugin = {
+  id: 'jumpEvents',
+  beforeDatasetsDraw(chart, args, opts) {
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+    ctx.clip();
+    (opts.events || []).forEach((evt, i) => {
+      const alpha = i === opts.highlighted ? 0.35 : 0.12;
+      const shade = (from, to, color) => {
+        const x0 = scales.x.getPixelForValue(from);
+        const x1 = scales.x.getPixelForValue(to);
+        ctx.fillStyle = `${color}${alpha})`;
+        ctx.fillRect(x0, chartArea.top, x1 - x0, chartArea.height);
+      };
+      shade(evt.tContactStart, evt.tTakeoff, PHASE_COLORS.contact);
+      shade(evt.tTakeoff, evt.tLanding, PHASE_COLORS.flight);
+    });
+    ctx.restore();
+  },
+  afterDatasetsDraw(chart, args, opts) {
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+    ctx.clip();
+    (opts.events || []).forEach((evt, i) => {
+      const highlighted = i === opts.highlighted;
+      Object.entries(MARKER_COLORS).forEach(([key, color]) => {
+        const x = scales.x.getPixelForValue(evt[key]);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = highlighted ? 2 : 1;
+        ctx.setLineDash(key === 'tContactStart' ? [4, 3] : []);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+      ctx.fillStyle = 'rgb(31,41,55)';
+      ctx.font = `${highlighted ? 'bold ' : ''}11px sans-serif`;
+      ctx.fillText(
+        `${i + 1}${evt.manual ? ' ✎' : ''}`,
+        scales.x.getPixelForValue(evt.tTakeoff) + 3,
+        chartArea.top + 12
+      );
+    });
+    ctx.restore();
+  },
+};
+
+function series(t, values, offset = 0) {
+  return t.map((x, i) => ({ x, y: values[i] - offset }));
+}
+
+/**
+ * Renders the analysis chart into a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} signals - ConditionedCapture from conditionCapture() (JumpDetectorCore.js).
+ * @param {Object[]} initialEvents - Jump events, in seconds like signals.t.
+ * @returns {{
+ *   highlight(index:number|null):void,
+ *   resetZoom():void,
+ *   setEvents(events:Object[]):void,
+ *   setEditing(on:boolean, opts?:{onChange:(events:Object[]) => void}):void,
+ *   addJumpAtNextTap():void,
+ *   destroy():void
+ * }}
+ */
+export function renderAnalysisChart(canvas, signals, initialEvents) {
+  const { t: times, aVertRaw, aVert, aTotRaw, g0 } = signals;
+  const tMin = times[0];
+  const tMax = times[times.length - 1];
+  let events = initialEvents.map((evt) => ({ ...evt }));
+  const datasets = [
+    {
+      label: t('chart.aVert'),
+      data: series(times, aVertRaw),
+      borderColor: 'rgb(59,130,246)',
+      borderWidth: 1.5,
+    },
+    {
+      label: t('chart.aVertFiltered'),
+      data: series(times, aVert),
+      borderColor: 'rgb(16,185,129)',
+      borderWidth: 1.5,
+      hidden: true,
+    },
+    {
+      label: t('chart.aTot'),
+      data: series(times, aTotRaw, g0),
+      borderColor: 'rgb(168,85,247)',
+      borderWidth: 1,
+      hidden: true,
+    },
+  ].map((d) => ({ ...d, pointRadius: 0, tension: 0 }));
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      scales: {
+        x: {
+          type: 'linear',
+          min: tMin,
+          max: tMax,
+          title: { display: true, text: t('chart.time') },
+        },
+        y: {
+          title: { display: true, text: 'm/s²' },
+        },
+      },
+      plugins: {
+        jumpEvents: { events, highlighted: null },
+        zoom: {
+          pan: { enabled: true, mode: 'x' },
+          zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: 'x' },
+          limits: { x: { min: 'original', max: 'original', minRange: 0.2 } },
+        },
+      },
+    },
+    plugins: [jumpEventsPlugin],
+  });
+
+  const zoomTo = (min, max) => {
+    if (chart.zoomScale) {
+      chart.zoomScale('x', { min, max });
+    } else {
+      chart.options.scales.x.min = min;
+      chart.options.scales.x.max = max;
+      chart.update('none');
+    }
+  };
+
+  // Editing: drag a marker within its own jump's order, or tap to add a jump
+  let editing = null;
+  let drag = null;
+  let adding = false;
+  const clampTime = (v) => Math.min(tMax, Math.max(tMin, v));
+  const clampMarker = (evt, key, v) => {
+    if (key === 'tContactStart') return clampTime(Math.min(v, evt.tTakeoff - MIN_PHASE));
+    if (key === 'tTakeoff') {
+      return Math.min(Math.max(v, evt.tContactStart + MIN_PHASE), evt.tLanding - MIN_PHASE);
+    }
+    return clampTime(Math.max(v, evt.tTakeoff + MIN_PHASE));
+  };
+  const hitMarker = (px) => {
+    let best = null;
+    events.forEach((evt, i) => {
+      Object.keys(MARKER_COLORS).forEach((key) => {
+        const d = Math.abs(chart.scales.x.getPixelForValue(evt[key]) - px);
+        if (d <= HIT_PX && (!best || d < best.d)) best = { i, key, d };
+      });
+    });
+    return best;
+  };
+  const changed = () => editing.onChange(events.map((evt) => ({ ...evt })));
+
+  const onPointerDown = (e) => {
+    if (!editing) return;
+    const x = chart.scales.x.getValueForPixel(e.offsetX);
+    if (adding) {
+      adding = false;
+      const tTakeoff = Math.min(Math.max(x, tMin + NEW_JUMP.contact), tMax - NEW_JUMP.flight);
+      events.push({
+        tContactStart: tTakeoff - NEW_JUMP.contact,
+        tTakeoff,
+        tLanding: tTakeoff + NEW_JUMP.flight,
+        contactFrom: 'movement',
+        manual: true,
+      });
+      changed();
+      return;
+    }
+    drag = hitMarker(e.offsetX);
+    if (!drag) return;
+    canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  };
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const evt = events[drag.i];
+    evt[drag.key] = clampMarker(evt, drag.key, chart.scales.x.getValueForPixel(e.offsetX));
+    evt.manual = true;
+    chart.update('none');
+  };
+  const onPointerUp = () => {
+    if (!drag) return;
+    drag = null;
+    changed();
+  };
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+
+  return {
+    highlight(index) {
+      chart.options.plugins.jumpEvents.highlighted = index;
+      const evt = events[index];
+      if (evt) {
+        zoomTo(evt.tContactStart - HIGHLIGHT_MARGIN, evt.tLanding + HIGHLIGHT_MARGIN);
+      } else {
+        chart.update('none');
+      }
+    },
+    resetZoom() {
+      chart.options.plugins.jumpEvents.highlighted = null;
+      if (chart.resetZoom) {
+        chart.resetZoom();
+      } else {
+        zoomTo(tMin, tMax);
+      }
+    },
+    setEvents(next) {
+      events = next.map((evt) => ({ ...evt }));
+      chart.options.plugins.jumpEvents.events = events;
+      chart.options.plugins.jumpEvents.highlighted = null;
+      chart.update('none');
+    },
+    setEditing(on, { onChange } = {}) {
+      editing = on ? { onChange } : null;
+      drag = null;
+      adding = false;
+      canvas.classList.toggle('cursor-col-resize', on);
+      chart.options.plugins.zoom.pan.enabled = !on;
+      chart.update('none');
+    },
+    addJumpAtNextTap() {
+      if (editing) adding = true;
+    },
+    destroy() {
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointercancel', onPointerUp);
+      chart.destroy();
+    },
+  };
+}
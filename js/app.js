@@ -1,4 +1,13 @@
+import {
+  FUSION_FILTERS,
+  createOrientationFilter,
+  gyroFromRotationRate,
+  quaternionFromGravity,
+} from './OrientationFilter.js';
+import { t, translatePage, bindLanguageSelect } from './I18n.js';
+
 const Y_METRIC_THRESHOLD = 3; // Only pass Y values greater than this
+const FUSION_FREQUENCY = 60; // Hz requested from the Generic Sensor API
 
 class SensorController {
   constructor() {
@@ -11,6 +20,8 @@ class SensorController {
       RelativeOrientationSensor: window.RelativeOrientationSensor
     };
     this.sensor = null;
+    this.fusionSensors = [];
+    this.fusionFilter = FUSION_FILTERS.MADGWICK;
     this.motionHandler = null;
     this.orientationHandler = null;
     // Maintain a fixed length history for chart data
@@ -125,6 +136,12 @@ class SensorController {
       this.sensor.onerror = null;
       this.sensor = null;
     }
+    this.fusionSensors.forEach(sensor => {
+      sensor.stop();
+      sensor.onreading = null;
+      sensor.onerror = null;
+    });
+    this.fusionSensors = [];
     if (this.motionHandler) {
       window.removeEventListener('devicemotion', this.motionHandler);
       this.motionHandler = null;
@@ -137,11 +154,15 @@ class SensorController {
 
   startSensor(type) {
     this.stopSensor();
+    if (type === 'FusedOrientation') {
+      this.startFusion();
+      return;
+    }
     const Constructor = this.sensorMap[type];
     if (typeof Constructor !== 'function') {
       if (['LinearAccelerationSensor', 'Accelerometer', 'GravitySensor', 'Gyroscope'].includes(type)) {
         if (!('ondevicemotion' in window)) {
-          this.log(`${type} is not supported on this device.`);
+          this.log(t('sensors.unsupported', { sensor: type }));
           return;
         }
         this.motionHandler = event => {
@@ -156,8 +177,8 @@ class SensorController {
           const x = data?.x || 0;
           const y = data?.y || 0;
           const z = data?.z || 0;
+          // Raw accelerations or rates are not angles, so the cube is left alone
           this.pushData(x, y, z);
-          this.update3D({ x, y, z });
         };
         window.addEventListener('devicemotion', this.motionHandler);
         this.log('');
@@ -166,7 +187,7 @@ class SensorController {
 
       if (['OrientationSensor', 'RelativeOrientationSensor'].includes(type)) {
         if (!('ondeviceorientation' in window)) {
-          this.log(`${type} is not supported on this device.`);
+          this.log(t('sensors.unsupported', { sensor: type }));
           return;
         }
         this.orientationHandler = event => {
@@ -189,7 +210,7 @@ class SensorController {
         return;
       }
 
-      this.log(`${type} is not supported on this device.`);
+      this.log(t('sensors.unsupported', { sensor: type }));
       return;
     }
 
@@ -200,13 +221,13 @@ class SensorController {
         const y = sensor.y ?? sensor.quaternion?.[1] ?? 0;
         const z = sensor.z ?? sensor.quaternion?.[2] ?? 0;
         this.pushData(x, y, z);
-        this.update3D(sensor);
+        if (sensor.quaternion) this.update3D(sensor);
       };
       sensor.onerror = event => {
         if (event.error?.name === 'NotAllowedError') {
-          this.log('Permission to access sensor was denied.');
+          this.log(t('sensors.denied'));
         } else {
-          this.log(`Sensor error: ${event.error?.name || event.error}`);
+          this.log(t('sensors.error', { error: event.error?.name || event.error }));
         }
       };
       sensor.start();
@@ -214,13 +235,96 @@ class SensorController {
       this.log('');
     } catch (err) {
       if (err.name === 'SecurityError' || err.name === 'NotAllowedError') {
-        this.log('Permission to access sensor was denied.');
+        this.log(t('sensors.denied'));
       } else {
-        this.log(`Sensor start failed: ${err.message}`);
+        this.log(t('sensors.startFailed', { error: err.message }));
       }
     }
   }
 
+  // Fuse accelerometer, gyroscope and (if present) magnetometer into a quaternion.
+  // Prefers the Generic Sensor API and falls back to devicemotion.
+  startFusion() {
+    const filter = createOrientationFilter(this.fusionFilter);
+    let initialized = false;
+    const step = (gyro, accel, mag, dt) => {
+      if (!initialized) {
+        // Start from the measured tilt instead of waiting for the filter to converge
+        filter.reset(quaternionFromGravity(accel));
+        initialized = true;
+      }
+      const q = filter.update(gyro, accel, mag, dt);
+      this.pushData(q[0], q[1], q[2]);
+      this.update3D({ quaternion: q });
+    };
+
+    if (typeof window.Accelerometer === 'function' && typeof window.Gyroscope === 'function') {
+      try {
+        this.startGenericFusion(step);
+        this.log('');
+        return;
+      } catch (err) {
+        this.stopSensor();
+        if (err.name === 'SecurityError' || err.name === 'NotAllowedError') {
+          this.log(t('sensors.denied'));
+          return;
+        }
+        // Otherwise fall through to devicemotion
+      }
+    }
+
+    if (!('ondevicemotion' in window)) {
+      this.log(t('sensors.fusedUnsupported'));
+      return;
+    }
+    let lastTime = null;
+    this.motionHandler = event => {
+      const gyro = gyroFromRotationRate(event.rotationRate);
+      const acc = event.accelerationIncludingGravity;
+      if (!gyro || !acc) {
+        this.log(t('sensors.fusedNeedsGyro'));
+        return;
+      }
+      const dt = lastTime === null ? 0 : (event.timeStamp - lastTime) / 1000;
+      lastTime = event.timeStamp;
+      step(gyro, [acc.x || 0, acc.y || 0, acc.z || 0], null, dt);
+    };
+    window.addEventListener('devicemotion', this.motionHandler);
+    this.log('');
+  }
+
+  startGenericFusion(step) {
+    const options = { frequency: FUSION_FREQUENCY };
+    const accel = new window.Accelerometer(options);
+    const gyro = new window.Gyroscope(options);
+    const mag = typeof window.Magnetometer === 'function' ? new window.Magnetometer(options) : null;
+    this.fusionSensors = [accel, gyro, mag].filter(Boolean);
+
+    let lastTime = null;
+    gyro.onreading = () => {
+      if (accel.x == null) return;
+      const dt = lastTime === null ? 0 : (gyro.timestamp - lastTime) / 1000;
+      lastTime = gyro.timestamp;
+      const field = mag && mag.x != null ? [mag.x, mag.y, mag.z] : null;
+      step([gyro.x, gyro.y, gyro.z], [accel.x, accel.y, accel.z], field, dt);
+    };
+    this.fusionSensors.forEach(sensor => {
+      sensor.onerror = event => {
+        // The magnetometer is optional: keep fusing without it
+        if (sensor === mag) {
+          mag.stop();
+          return;
+        }
+        if (event.error?.name === 'NotAllowedError') {
+          this.log(t('sensors.denied'));
+        } else {
+          this.log(t('sensors.error', { error: event.error?.name || event.error }));
+        }
+      };
+      sensor.start();
+    });
+  }
+
   pushData(x, y, z) {
     const timestamp = Date.now();
     this.labelBuffer.push(timestamp);
@@ -244,6 +348,8 @@ class SensorController {
 }
 
 window.addEventListener('DOMContentLoaded', () => {
+  translatePage();
+  bindLanguageSelect(document.getElementById('langSelect'));
   const button = document.getElementById('enableMotion');
   const messageEl = document.getElementById('message');
 
@@ -263,12 +369,12 @@ window.addEventListener('DOMContentLoaded', () => {
         if (res !== 'granted') throw new Error('denied');
       }
     } catch (err) {
-      messageEl.textContent = 'Permission to access motion/orientation was denied.';
+      messageEl.textContent = t('sensors.motionDenied');
       return;
     }
 
     if (!motionPerm && !orientationPerm && (typeof DeviceMotionEvent === 'undefined' || typeof DeviceOrientationEvent === 'undefined')) {
-      messageEl.textContent = 'Motion and orientation APIs are not available on this device.';
+      messageEl.textContent = t('sensors.unavailable');
       return;
     }
 
@@ -0,0 +1,184 @@
+import {
+  saveAthlete,
+  listAthletes,
+  deleteAthlete,
+} from './AthleteStore.js';
+import { t } from './I18n.js';
+
+const legLabel = (leg) => t(`athletes.leg.${leg}`);
+
+export function escapeHtml(str) {
+  return String(str ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+}
+
+export function athleteDetails(a) {
+  return [
+    a.bodyMass ? `${a.bodyMass} kg` : null,
+    a.height ? `${a.height} cm` : null,
+    a.sex,
+    a.sport,
+    a.dominantLeg ? t('athletes.legDetail', { leg: legLabel(a.dominantLeg).toLowerCase() }) : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function buildForm(athlete, onSaved, onCancel) {
+  const form = document.createElement('form');
+  form.className = 'bg-white p-4 rounded shadow flex flex-col gap-2';
+  form.innerHTML = `
+    <h3 class="font-semibold">${t(athlete.id ? 'athletes.edit' : 'athletes.new')}</h3>
+    <label class="flex flex-col">${t('athletes.name')}
+      <input name="name" required class="border rounded p-1" value="${escapeHtml(athlete.name)}" />
+    </label>
+    <label class="flex flex-col">${t('athletes.bodyMass')}
+      <input name="bodyMass" type="number" min="20" max="250" step="0.1" class="border rounded p-1"
+        value="${athlete.bodyMass ?? ''}" />
+    </label>
+    <label class="flex flex-col">${t('athletes.height')}
+      <input name="height" type="number" min="100" max="250" step="0.5" class="border rounded p-1"
+        value="${athlete.height ?? ''}" />
+    </label>
+    <label class="flex flex-col">${t('athletes.sex')}
+      <select name="sex" class="border rounded p-1">
+        <option value="">—</option>
+        <option value="F">F</option>
+        <option value="M">M</option>
+      </select>
+    </label>
+    <label class="flex flex-col">${t('athletes.sport')}
+      <input name="sport" class="border rounded p-1" value="${escapeHtml(athlete.sport)}" />
+    </label>
+    <label class="flex flex-col">${t('athletes.dominantLeg')}
+      <select name="dominantLeg" class="border rounded p-1">
+        <option value="">—</option>
+        <option value="left">${legLabel('left')}</option>
+        <option value="right">${legLabel('right')}</option>
+      </select>
+    </label>
+    <div class="flex gap-2 self-end">
+      <button type="button" data-action="cancel" class="bg-gray-500 text-white px-3 py-1 rounded">${t('common.cancel')}</button>
+      <button type="submit" class="bg-blue-500 text-white px-3 py-1 rounded">${t('common.save')}</button>
+    </div>
+  `;
+  form.elements.sex.value = athlete.sex || '';
+  form.elements.dominantLeg.value = athlete.dominantLeg || '';
+  form.querySelector('[data-action="cancel"]').addEventListener('click', onCancel);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const f = form.elements;
+    const num = (v) => (parseFloat(v) > 0 ? parseFloat(v) : null);
+    const record = {
+      ...athlete,
+      name: f.name.value,
+      bodyMass: num(f.bodyMass.value),
+      height: num(f.height.value),
+      sex: f.sex.value || null,
+      sport: f.sport.value.trim(),
+      dominantLeg: f.dominantLeg.value || null,
+    };
+    try {
+      record.id = await saveAthlete(record);
+      onSaved(record);
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+  return form;
+}
+
+/**
+ * Renders the athlete profile manager (list, create, edit, delete) into a container.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} opts
+ * @param {() => void} opts.onClose - Called when the panel is closed.
+ * @param {(athletes: Object[]) => void} [opts.onChange] - Called after any change with the new list.
+ */
+export async function renderAthletesPanel(container, { onClose, onChange }) {
+  container.classList.remove('hidden');
+  container.innerHTML = '';
+
+  const title = document.createElement('h2');
+  title.className = 'text-xl font-bold';
+  title.textContent = t('athletes.title');
+  container.appendChild(title);
+
+  let athletes = [];
+  try {
+    athletes = await listAthletes();
+  } catch (err) {
+    console.error('No se pudieron leer los atletas', err);
+  }
+  const refresh = () => {
+    renderAthletesPanel(container, { onClose, onChange });
+  };
+  const changed = async () => {
+    if (onChange) onChange(await listAthletes());
+    refresh();
+  };
+
+  if (!athletes.length) {
+    const empty = document.createElement('p');
+    empty.className = 'text-center text-gray-500';
+    empty.textContent = t('athletes.empty');
+    container.appendChild(empty);
+  }
+
+  athletes.forEach((athlete) => {
+    const card = document.createElement('div');
+    card.className = 'bg-white p-4 rounded shadow flex items-center gap-2';
+    const info = document.createElement('div');
+    info.className = 'flex-1';
+    info.innerHTML = `
+      <p class="font-semibold">${escapeHtml(athlete.name)}</p>
+      <p class="text-sm text-gray-500">${escapeHtml(athleteDetails(athlete))}</p>
+    `;
+    const progressLink = document.createElement('a');
+    progressLink.className = 'bg-gray-500 text-white px-3 py-1 rounded';
+    progressLink.href = `dashboard.html?athlete=${athlete.id}`;
+    progressLink.textContent = t('athletes.progress');
+    const editBtn = document.createElement('button');
+    editBtn.className = 'bg-blue-500 text-white px-3 py-1 rounded';
+    editBtn.textContent = t('common.edit');
+    editBtn.addEventListener('click', () => {
+      card.replaceWith(buildForm(athlete, changed, refresh));
+    });
+    const delBtn = document.createElement('button');
+    delBtn.className = 'bg-red-500 text-white px-3 py-1 rounded';
+    delBtn.textContent = t('common.delete');
+    delBtn.addEventListener('click', async () => {
+      if (!confirm(t('athletes.confirmDelete', { name: athlete.name }))) return;
+      try {
+        await deleteAthlete(athlete.id);
+      } catch (err) {
+        console.error('No se pudo eliminar el atleta', err);
+      }
+      changed();
+    });
+    card.append(info, progressLink, editBtn, delBtn);
+    container.appendChild(card);
+  });
+
+  const row = document.createElement('div');
+  row.className = 'flex gap-2 self-center';
+  const addBtn = document.createElement('button');
+  addBtn.className = 'bg-blue-500 text-white px-4 py-2 rounded';
+  addBtn.textContent = t('athletes.new');
+  addBtn.addEventListener('click', () => {
+    row.replaceWith(buildForm({}, changed, refresh));
+  });
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bg-gray-500 text-white px-4 py-2 rounded';
+  closeBtn.textContent = t('common.close');
+  closeBtn.addEventListener('click', () => {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    onClose();
+  });
+  row.append(addBtn, closeBtn);
+  container.appendChild(row);
+}
@@ -0,0 +1,259 @@
+import { listAthletes } from './AthleteStore.js';
+import { listSessionsByAthlete } from './SessionStore.js';
+import { JUMP_PROTOCOLS } from './JumpProtocols.js';
+import {
+  BASELINE_SESSIONS,
+  PROGRESS_METRICS,
+  progressSeries,
+  baselineBand,
+  bestPoint,
+} from './ProgressMetrics.js';
+import {
+  t,
+  formatDate,
+  translatePage,
+  bindLanguageSelect,
+  onLocaleChange,
+} from './I18n.js';
+import {
+  QUANTITIES,
+  getUnits,
+  convert,
+  withUnit,
+  bindUnitSelect,
+  onUnitsChange,
+} from './Units.js';
+
+const athleteSelectEl = document.getElementById('athlete-select');
+const protocolFilterEl = document.getElementById('protocol-filter');
+const statusEl = document.getElementById('dashboard-status');
+const chartsEl = document.getElementById('dashboard-charts');
+const langSelectEl = document.getElementById('lang-select');
+const lengthUnitEl = document.getElementById('length-unit');
+const timeUnitEl = document.getElementById('time-unit');
+const rsiUnitEl = document.getElementById('rsi-unit');
+
+// Metrics plotted together; both fatigue indices share one chart. Charts with
+// a quantity follow the units preference
+const CHARTS = [
+  { title: 'dashboard.chart.height', keys: ['h'], quantity: QUANTITIES.LENGTH },
+  { title: 'dashboard.chart.rsi', keys: ['rsi'], quantity: QUANTITIES.RSI },
+  { title: 'dashboard.chart.contact', keys: ['tc'], quantity: QUANTITIES.TIME },
+  { title: 'dashboard.chart.fatigue', keys: ['heightDrop', 'rsiDrop'], quantity: null },
+];
+const COLORS = {
+  h: 'rgb(59,130,246)',
+  rsi: 'rgb(22,163,74)',
+  tc: 'rgb(234,88,12)',
+  heightDrop: 'rgb(168,85,247)',
+  rsiDrop: 'rgb(236,72,153)',
+};
+
+let sessions = [];
+let charts = [];
+
+function formatDay(ms) {
+  return formatDate(ms, { year: 'numeric', month: 'numeric', day: 'numeric' });
+}
+
+function withAlpha(rgb, alpha) {
+  return rgb.replace('rgb(', 'rgba(').replace(')', `,${alpha})`);
+}
+
+// Session values, the baseline band (mean ± SD of the first sessions) and the
+// best-ever mark of one metric
+function metricDatasets(points, key, quantity) {
+  const color = COLORS[key];
+  const { label } = PROGRESS_METRICS[key];
+  const value = (v) => (quantity ? convert(v, quantity) : v);
+  const datasets = [
+    {
+      label,
+      data: points.filter((p) => p[key] != null).map((p) => ({ x: p.date, y: value(p[key]) })),
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 2,
+      pointRadius: 3,
+    },
+  ];
+  const band = baselineBand(points, key);
+  if (band) {
+    const span = [points[0].date, points[points.length - 1].date];
+    datasets.push(
+      {
+        label: t('dashboard.baseline', { metric: label }),
+        data: span.map((x) => ({ x, y: value(band.upper) })),
+        borderColor: withAlpha(color, 0.3),
+        backgroundColor: withAlpha(color, 0.12),
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: '+1',
+      },
+      {
+        label: '',
+        data: span.map((x) => ({ x, y: value(band.lower) })),
+        borderColor: withAlpha(color, 0.3),
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      }
+    );
+  }
+  const best = bestPoint(points, key);
+  if (best) {
+    datasets.push({
+      label: t('dashboard.best', { metric: label }),
+      data: [{ x: best.date, y: value(best[key]) }],
+      borderColor: color,
+      backgroundColor: color,
+      pointStyle: 'star',
+      pointRadius: 10,
+      showLine: false,
+    });
+  }
+  return datasets;
+}
+
+function renderChart(title, datasets) {
+  const card = document.createElement('div');
+  card.className = 'bg-white p-4 rounded shadow';
+  const heading = document.createElement('h3');
+  heading.className = 'font-semibold mb-2';
+  heading.textContent = title;
+  const holder = document.createElement('div');
+  holder.className = 'relative h-64';
+  const canvas = document.createElement('canvas');
+  holder.appendChild(canvas);
+  card.append(heading, holder);
+  chartsEl.appendChild(card);
+
+  charts.push(
+    new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        parsing: false,
+        scales: {
+          x: {
+            type: 'linear',
+            ticks: { callback: (value) => formatDay(value), maxTicksLimit: 6 },
+          },
+        },
+        plugins: {
+          legend: { labels: { filter: (item) => item.text !== '' } },
+          tooltip: {
+            filter: (item) => item.dataset.label !== '',
+            callbacks: { title: (items) => formatDay(items[0].parsed.x) },
+          },
+        },
+      },
+    })
+  );
+}
+
+function render() {
+  charts.forEach((c) => c.destroy());
+  charts = [];
+  chartsEl.innerHTML = '';
+  const points = progressSeries(sessions, {
+    protocol: protocolFilterEl.value || null,
+    units: getUnits(),
+  });
+  if (!points.length) {
+    statusEl.textContent = t('dashboard.empty');
+    return;
+  }
+  statusEl.textContent = t('dashboard.status', {
+    sessions: points.length,
+    baseline: Math.min(BASELINE_SESSIONS, points.length),
+  });
+  CHARTS.forEach(({ title, keys, quantity }) => {
+    // Fatigue needs at least two jumps per session
+    if (!keys.some((key) => points.some((p) => p[key] != null))) return;
+    renderChart(
+      quantity ? withUnit(t(title), quantity) : t(title),
+      keys.flatMap((key) => metricDatasets(points, key, quantity))
+    );
+  });
+}
+
+// Protocols present in the athlete's sessions; the latest one is preselected
+function fillProtocolFilter() {
+  const ids = [...new Set(sessions.map((s) => s.protocol).filter(Boolean))];
+  protocolFilterEl.innerHTML = '';
+  [['', t('dashboard.all')], ...ids.map((id) => [id, JUMP_PROTOCOLS[id]?.name ?? id])].forEach(
+    ([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      protocolFilterEl.appendChild(opt);
+    }
+  );
+  protocolFilterEl.value = sessions[0]?.protocol ?? '';
+}
+
+async function loadAthlete(id) {
+  const url = new URL(location.href);
+  url.searchParams.set('athlete', id);
+  history.replaceState(null, '', url);
+  try {
+    sessions = await listSessionsByAthlete(id);
+  } catch (err) {
+    console.error('No se pudieron leer las sesiones', err);
+    sessions = [];
+  }
+  fillProtocolFilter();
+  render();
+}
+
+async function init() {
+  let athletes = [];
+  try {
+    athletes = await listAthletes();
+  } catch (err) {
+    console.error('No se pudieron leer los atletas', err);
+  }
+  if (!athletes.length) {
+    statusEl.textContent = t('athletes.empty');
+    athleteSelectEl.disabled = true;
+    protocolFilterEl.disabled = true;
+    return;
+  }
+  athletes.forEach((athlete) => {
+    const opt = document.createElement('option');
+    opt.value = athlete.id;
+    opt.textContent = athlete.name;
+    athleteSelectEl.appendChild(opt);
+  });
+  const requested = Number(new URL(location.href).searchParams.get('athlete'));
+  if (athletes.some((a) => a.id === requested)) athleteSelectEl.value = requested;
+  athleteSelectEl.addEventListener('change', () => loadAthlete(Number(athleteSelectEl.value)));
+  protocolFilterEl.addEventListener('change', render);
+  loadAthlete(Number(athleteSelectEl.value));
+}
+
+// Page text follows its data-i18n key; the filter and charts are rebuilt
+function refreshLanguage() {
+  translatePage();
+  if (protocolFilterEl.disabled) {
+    statusEl.textContent = t('athletes.empty');
+    return;
+  }
+  const protocol = protocolFilterEl.value;
+  fillProtocolFilter();
+  protocolFilterEl.value = protocol;
+  render();
+}
+
+translatePage();
+bindLanguageSelect(langSelectEl);
+bindUnitSelect(lengthUnitEl, QUANTITIES.LENGTH);
+bindUnitSelect(timeUnitEl, QUANTITIES.TIME);
+bindUnitSelect(rsiUnitEl, QUANTITIES.RSI);
+onLocaleChange(refreshLanguage);
+onUnitsChange(() => {
+  if (!protocolFilterEl.disabled) render();
+});
+init();
@@ -4,23 +4,142 @@ import {
   contactTime,
   rsi,
   summarizeSeries,
+  seriesStats,
 } from './JumpMetrics.js';
 import {
   TAP_THRESHOLD,
   TAP_WINDOW,
   TAP_COOLDOWN,
-  NOISE_FLOOR,
   SENSOR_TYPES,
+  JUMP_DETECTION_DEFAULTS,
+  SIGNAL_FILTER_DEFAULTS,
+  DEFAULT_SAMPLE_RATE,
+  ANALYSIS_SAMPLE_RATE,
 } from './settings.js';
+import {
+  saveSession,
+  listSessions,
+  getSession,
+  deleteSession,
+} from './SessionStore.js';
+import { exportSessionCsv, exportSessionJson } from './JumpExport.js';
+import { parseCaptureFile, readFileText } from './CaptureImport.js';
+import { replayCapture } from './CaptureReplay.js';
+import { JumpEventDetector } from './JumpEventDetector.js';
+import {
+  analyzeCapture,
+  conditionCapture,
+  estimateGravity,
+  detectionFilters,
+} from './JumpDetectorCore.js';
+import { CausalFilter } from './SignalFilters.js';
+import { TUNED_THRESHOLDS, tuneThresholds } from './ThresholdTuning.js';
+import { assessCaptureQuality, issueMessage } from './SignalQuality.js';
+import { StillnessCalibrator, CALIBRATION_STATES } from './Calibration.js';
+import {
+  getDeviceProfile,
+  saveDeviceProfile,
+  clearDeviceProfile,
+} from './DeviceProfileStore.js';
+import {
+  estimateSampleRate,
+  resampleUniform,
+  samplingStats,
+  sourceTimestamp,
+} from './Sampling.js';
+import {
+  attachVerticalAxis,
+  upAxisFromOrientation,
+  upAxisFromQuaternion,
+} from './Orientation.js';
+import {
+  FUSION_FILTERS,
+  createOrientationFilter,
+  fuseMotionSamples,
+  gyroFromRotationRate,
+  quaternionFromGravity,
+} from './OrientationFilter.js';
+import {
+  jumpKinetics,
+  sayersPeakPower,
+  harmanPeakPower,
+  harmanMeanPower,
+} from './JumpKinetics.js';
+import { listAthletes, getAthlete } from './AthleteStore.js';
+import { renderAthletesPanel, escapeHtml } from './athletesPanel.js';
+import { renderAnalysisChart } from './analysisChart.js';
+import {
+  JUMP_PROTOCOLS,
+  DEFAULT_PROTOCOL,
+  getProtocol,
+  protocolResults,
+} from './JumpProtocols.js';
+import {
+  t,
+  formatNumber,
+  formatDate,
+  translatePage,
+  bindLanguageSelect,
+  onLocaleChange,
+} from './I18n.js';
+import {
+  QUANTITIES,
+  getUnits,
+  convert,
+  formatValue,
+  formatQuantity,
+  unitSymbol,
+  withUnit,
+  rsiOf,
+  withDisplayRsi,
+  bindUnitSelect,
+  onUnitsChange,
+} from './Units.js';
+import {
+  isSpeechSupported,
+  speak,
+  jumpPhrase,
+  announceJump,
+  announceSummary,
+  primeSpeech,
+  bindSpeechSettings,
+} from './Speech.js';
 
 import useDoubleTap from '../client_app/src/hooks/useDoubleTap.js';
 
 const permBtn = document.getElementById('perm-btn');
 const dotEl = document.getElementById('dot');
 const yValueEl = document.getElementById('y-value');
+const yNameEl = document.getElementById('y-name');
+const liveJumpsDiv = document.getElementById('live-jumps');
 const resultsDiv = document.getElementById('results');
+const historyBtn = document.getElementById('history-btn');
+const historyDiv = document.getElementById('history');
+const athletesBtn = document.getElementById('athletes-btn');
+const athletesDiv = document.getElementById('athletes');
+const currentAthleteEl = document.getElementById('current-athlete');
+const pickerEl = document.getElementById('athlete-picker');
+const pickerListEl = document.getElementById('athlete-picker-list');
+const pickerCancelBtn = document.getElementById('athlete-picker-cancel');
+const tuneBtn = document.getElementById('tune-btn');
+const importBtn = document.getElementById('import-btn');
+const importFileEl = document.getElementById('import-file');
+const realtimeEl = document.getElementById('replay-realtime');
+const protocolSelectEl = document.getElementById('protocol-select');
+const bodyMassEl = document.getElementById('body-mass');
+const protocolNameEl = document.getElementById('protocol-name');
+const protocolInstructionsEl = document.getElementById('protocol-instructions');
 const countdownEl = document.getElementById('countdown');
 const ledEl = document.getElementById('sensor-led');
+const langSelectEl = document.getElementById('lang-select');
+const lengthUnitEl = document.getElementById('length-unit');
+const timeUnitEl = document.getElementById('time-unit');
+const rsiUnitEl = document.getElementById('rsi-unit');
+const speechVerbosityEl = document.getElementById('speech-verbosity');
+const speechLangEl = document.getElementById('speech-lang');
+const speechVoiceEl = document.getElementById('speech-voice');
+const speechTestBtn = document.getElementById('speech-test');
+const speechUnsupportedEl = document.getElementById('speech-unsupported');
 const bodyEl = document.body;
 const defaultBg = getComputedStyle(bodyEl).backgroundColor;
 
@@ -36,171 +155,413 @@ let orientationData = [];
 let audioCtx;
 let midiOutput;
 let chart;
+let editor = null;
+let trendChart;
 let accelSensor;
 let nextTapAllowedAt = 0;
 let sensorListening = false;
+let currentSession = null;
+let replay = null;
+let liveDetector = null;
+let orientationCursor = 0;
+let liveFusion = null;
+let liveContactMode = null;
+let liveFusionT = 0;
+let liveCalib = [];
+let liveJumpCount = 0;
+let protocolId = DEFAULT_PROTOCOL;
+let captureTimer = null;
+let currentAthlete = null;
+let pickerOpen = false;
+let tuning = false;
+let calibrator = null;
+let calibration = null;
+// Thresholds tuned for this device replace the defaults once loaded
+let detectionThresholds = { ...JUMP_DETECTION_DEFAULTS };
+let thresholdsSource = 'default';
 
-function dotProd(a, b) {
-  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
-}
+// Estimators behind each height field stored with the results
+const HEIGHT_METHODS = Object.freeze({
+  h: 'flight-time',
+  hImpulse: 'impulse-momentum',
+});
 
-function norm(a) {
-  return Math.hypot(a[0], a[1], a[2]);
-}
+// Orientation older than this is not trusted as the current vertical axis
+const ORIENTATION_MAX_GAP_MS = 200;
 
-function detectJumpEvents(samples, opts = {}) {
-  const alpha = opts.alpha ?? 0.2;
-  const flightEpsMag = opts.flightEpsMag ?? 0.4;
-  const flightEpsVert = opts.flightEpsVert ?? 0.5;
-  const moveThresh = opts.moveThresh ?? 1.0;
-  const minFlight = opts.minFlight ?? 0.1;
-  const maxFlight = opts.maxFlight ?? 1.2;
-  const minContact = opts.minContact ?? 0.08;
-  if (!samples.length) return [];
+// Practice capture used to tune the detection thresholds
+const TUNING_JUMPS = 3;
+const TUNING_DURATION_S = 10;
 
-  const t0 = samples[0].t;
-  const calibMs = opts.calibMs ?? 500;
-  const calib = samples.filter((s) => s.t - t0 <= calibMs);
-  const gSum = calib.reduce(
-    (s, v) => [s[0] + v.ax, s[1] + v.ay, s[2] + v.az],
-    [0, 0, 0]
-  );
-  const gMean = gSum.map((v) => v / calib.length);
-  const g0 = norm(gMean);
-  const gUnit = gMean.map((v) => v / g0);
-
-  let aVertEma = 0;
-  let aTotEma = g0;
-  let inFlight = false;
-  let inMotion = false;
-  let tContactStart = null;
-  let tTakeoff = null;
-  const events = [];
-
-  for (const s of samples) {
-    const t = (s.t - t0) / 1000;
-    const aVec = [s.ax, s.ay, s.az];
-    const aVertInc = dotProd(aVec, gUnit);
-    const aVert = aVertInc - g0;
-    const aTot = norm(aVec);
-
-    aVertEma = alpha * aVert + (1 - alpha) * aVertEma;
-    aTotEma = alpha * aTot + (1 - alpha) * aTotEma;
-
-    const isFlight =
-      Math.abs(aTotEma - g0) < flightEpsMag &&
-      Math.abs(aVertEma) < flightEpsVert;
-    const hasMotion = Math.abs(aVertEma) > moveThresh;
-
-    if (!inFlight) {
-      if (hasMotion && !inMotion) {
-        inMotion = true;
-        tContactStart = t;
-      }
-      if (isFlight) {
-        inFlight = true;
-        tTakeoff = t;
-        if (tContactStart == null) {
-          tContactStart = Math.max(0, t - 0.2);
-        }
-      }
-    } else if (!isFlight) {
-      inFlight = false;
-      inMotion = false;
-      const tLanding = t;
-      const tf = tLanding - tTakeoff;
-      const tc = tTakeoff - (tContactStart ?? tTakeoff);
-      if (tf >= minFlight && tf <= maxFlight && tc >= minContact) {
-        events.push({ tContactStart, tTakeoff, tLanding });
-      }
-      tContactStart = null;
-      tTakeoff = null;
-    }
-  }
+// Jump read out by the speech test button: 42 cm, RSI 1.8
+const SAMPLE_JUMP = Object.freeze({ h: 0.42, tf: 0.585, tc: 0.233, rsi: 0.42 / 0.233 });
 
-  return events;
+// Where the per-sample vertical axis comes from: orientation events, gyroscope
+// fusion when there are none, or the fixed calibration axis as a last resort
+function verticalAxisSource() {
+  if (orientationData.length) return 'orientation';
+  if (motionData.some((s) => Number.isFinite(s.gx))) return 'fused';
+  return 'calibration';
 }
 
-function analyzeJumps() {
-  const events = detectJumpEvents(motionData);
-  if (!events.length) {
-    resultsDiv.innerHTML =
-      '<p class="text-center text-gray-500">No se detectaron saltos</p>';
-    return;
-  }
+// Detection runs on a uniform grid with the vertical axis attached per sample
+function analysisSamples() {
+  const uniform = resampleUniform(motionData, ANALYSIS_SAMPLE_RATE);
+  const orientation =
+    verticalAxisSource() === 'fused'
+      ? fuseMotionSamples(uniform, { filter: FUSION_FILTERS.MADGWICK })
+      : orientationData;
+  return attachVerticalAxis(uniform, orientation, ORIENTATION_MAX_GAP_MS);
+}
+
+function analyzeJumps(protocol = protocolId, bodyMass = activeBodyMass()) {
+  // The raw delivery is only reported; detection uses the resampled capture
+  const sampling = samplingStats(motionData.map((s) => s.t));
+  const samples = analysisSamples();
+  const { events, trace } = analyzeCapture(samples, {
+    ...detectionThresholds,
+    contactMode: getProtocol(protocol).contactMode,
+  });
+  const { items, summary, quality } = evaluateEvents(events, {
+    samples,
+    trace,
+    sampling,
+    bodyMass,
+    calibMs: detectionThresholds.calibMs,
+  });
+  // Without jumps the chart and editor still show, so missed jumps can be added
+  const shownSummary = events.length ? summary : null;
+  renderResults(items, shownSummary, protocol, sampling, quality, chartSignals());
+  return { events, items, summary: shownSummary, protocol, bodyMass, sampling, quality };
+}
+
+// Jumps flagged invalid by the signal quality keep their card but stay out of
+// the summary, protocol outputs, series stats, trend and spoken summary
+function isValidItem(item) {
+  return item.quality?.valid !== false;
+}
 
-  const items = events.map((evt) => {
+// Per-jump metrics, quality and series summary of detected or edited events
+function evaluateEvents(events, { samples, trace, sampling, bodyMass, calibMs }) {
+  const quality = assessCaptureQuality({ motionData, samples, trace, events, sampling, calibMs });
+  const items = events.map((evt, i) => {
     const tf = flightTime(evt);
     const h = heightFromFlightTime(tf);
     const tc = contactTime(evt);
     const r = rsi(h, tc);
-    return { tf, h, tc, rsi: r, evt };
+    const { vTakeoff, hImpulse } = JumpEventDetector.computeImpulseMetrics(
+      trace,
+      evt
+    );
+    const kinetics = computeKinetics(trace, evt, h, bodyMass);
+    return { tf, h, hImpulse, vTakeoff, tc, rsi: r, kinetics, quality: quality.jumps[i], evt };
   });
+  return {
+    items,
+    summary: summarizeSeries(items.filter(isValidItem).map((item) => item.evt)),
+    quality,
+  };
+}
 
-  const summary = summarizeSeries(events);
-  renderResults(items, summary);
+// The athlete profile wins; the manual input covers captures without athlete
+function activeBodyMass() {
+  if (currentAthlete?.bodyMass) return currentAthlete.bodyMass;
+  const mass = parseFloat(bodyMassEl.value);
+  return mass > 0 ? mass : null;
 }
 
-function renderResults(items, summary) {
-  resultsDiv.innerHTML = '';
-  permBtn.classList.add('hidden');
+// Force/power from the propulsive phase plus regression estimates from height
+function computeKinetics(trace, evt, h, bodyMass) {
+  if (!bodyMass) return null;
+  let measured = {
+    peakForce: null,
+    meanForce: null,
+    peakPower: null,
+    meanPower: null,
+  };
+  try {
+    const { vTakeoff, ...rest } = jumpKinetics(trace, evt, bodyMass);
+    measured = rest;
+  } catch (err) {
+    console.warn('Cinética no disponible para el salto', err.message);
+  }
+  return {
+    ...measured,
+    sayersPeakPower: sayersPeakPower(h, bodyMass),
+    harmanPeakPower: harmanPeakPower(h, bodyMass),
+    harmanMeanPower: harmanMeanPower(h, bodyMass),
+  };
+}
 
-  const cards = document.createElement('div');
-  cards.className = 'grid grid-cols-1 sm:grid-cols-2 gap-4';
+// Live captures belong to the selected athlete; imports pass their own
+function storeSession(
+  { events, items, summary, protocol, bodyMass, sampling, quality },
+  source = { type: 'capture' },
+  { athleteId = currentAthlete?.id ?? null, athlete = currentAthlete } = {}
+) {
+  // Only live captures go through the verified calibration
+  const calib = source.type === 'capture' ? calibration : null;
+  const session = {
+    createdAt: Date.now(),
+    source,
+    protocol,
+    bodyMass,
+    athleteId,
+    athlete: athlete ? { ...athlete } : null,
+    motionData,
+    orientationData,
+    events,
+    items,
+    summary,
+    sampling,
+    quality,
+    calibration: calib,
+    settings: {
+      sensor: hasSensorAPI ? SENSOR_TYPES.ANDROID : SENSOR_TYPES.IOS,
+      filter: { ...SIGNAL_FILTER_DEFAULTS },
+      analysisRate: ANALYSIS_SAMPLE_RATE,
+      detection: { ...detectionThresholds },
+      thresholdsSource,
+      verticalAxis: verticalAxisSource(),
+      heightMethods: HEIGHT_METHODS,
+    },
+  };
+  currentSession = session;
+  saveSession(session)
+    .then((id) => {
+      session.id = id;
+    })
+    .catch((err) => console.error('No se pudo guardar la sesión', err));
+}
 
-  if (summary) {
-    const summaryCard = document.createElement('div');
-    summaryCard.className = 'bg-white p-4 rounded shadow';
-    summaryCard.innerHTML = `
-      <h3 class="font-semibold mb-2">Resumen</h3>
-      <p><span class="font-medium">Conteo:</span> ${summary.count}</p>
-      <p><span class="font-medium">Cadencia:</span> ${summary.cadence
-        .toFixed(2)} saltos/min</p>
-    `;
-    cards.appendChild(summaryCard);
+function formatSessionDate(ts) {
+  return formatDate(ts, {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  });
+}
+
+async function showHistory() {
+  if (capturing || replay) return;
+  hideAthletes();
+  historyDiv.classList.remove('hidden');
+  historyDiv.innerHTML = '';
+
+  const title = document.createElement('h2');
+  title.className = 'text-xl font-bold';
+  title.textContent = t('history.title');
+  historyDiv.appendChild(title);
+
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (err) {
+    console.error('No se pudo leer el historial', err);
+    sessions = [];
   }
 
-  items.forEach((item, idx) => {
+  if (!sessions.length) {
+    const empty = document.createElement('p');
+    empty.className = 'text-center text-gray-500';
+    empty.textContent = t('history.empty');
+    historyDiv.appendChild(empty);
+  }
+
+  sessions.forEach((session) => {
+    // Best height among valid jumps; a rejected spike is not a best
+    const heights = session.items.filter(isValidItem).map((it) => it.h);
     const card = document.createElement('div');
-    card.className = 'bg-white p-4 rounded shadow';
-    card.innerHTML = `
-      <h3 class="font-semibold mb-2">Salto ${idx + 1}</h3>
-      <p><span class="font-medium">Tiempo de vuelo:</span> ${item.tf
-        .toFixed(2)} s</p>
-      <p><span class="font-medium">Altura:</span> ${item.h
-        .toFixed(2)} m</p>
-      <p><span class="font-medium">Tiempo de contacto:</span> ${item.tc
-        .toFixed(2)} s</p>
-      <p><span class="font-medium">RSI:</span> ${item.rsi.toFixed(2)}</p>
+    card.className = 'bg-white p-4 rounded shadow flex items-center gap-2';
+    const info = document.createElement('div');
+    info.className = 'flex-1';
+    info.innerHTML = `
+      <p class="font-semibold">${formatSessionDate(session.createdAt)}</p>
+      <p class="text-sm text-gray-500">${escapeHtml(
+        t('history.details', {
+          athlete: session.athlete?.name ?? t('common.noAthlete'),
+          protocol: getProtocol(session.protocol).name,
+          jumps: session.items.length,
+          samples: session.motionData.length,
+        })
+      )}${
+        heights.length
+          ? ` · ${t('history.best', {
+              height: formatQuantity(Math.max(...heights), QUANTITIES.LENGTH),
+            })}`
+          : ''
+      }</p>
     `;
-    cards.appendChild(card);
+    const openBtn = document.createElement('button');
+    openBtn.className = 'bg-blue-500 text-white px-3 py-1 rounded';
+    openBtn.textContent = t('common.open');
+    openBtn.addEventListener('click', () => openSession(session.id));
+    const delBtn = document.createElement('button');
+    delBtn.className = 'bg-red-500 text-white px-3 py-1 rounded';
+    delBtn.textContent = t('common.delete');
+    delBtn.addEventListener('click', async () => {
+      if (!confirm(t('history.confirmDelete'))) return;
+      try {
+        await deleteSession(session.id);
+      } catch (err) {
+        console.error('No se pudo eliminar la sesión', err);
+      }
+      showHistory();
+    });
+    card.append(info, openBtn, delBtn);
+    historyDiv.appendChild(card);
   });
 
-  resultsDiv.appendChild(cards);
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bg-gray-500 text-white px-4 py-2 rounded self-center';
+  closeBtn.textContent = t('common.close');
+  closeBtn.addEventListener('click', hideHistory);
+  historyDiv.appendChild(closeBtn);
+}
 
-  const canvas = document.createElement('canvas');
-  canvas.id = 'jump-chart';
-  canvas.className = 'w-full h-48';
-  resultsDiv.appendChild(canvas);
+function hideHistory() {
+  historyDiv.classList.add('hidden');
+  historyDiv.innerHTML = '';
+}
 
-  const ctx = canvas.getContext('2d');
-  const t0 = motionData[0]?.t || 0;
-  const labels = motionData.map((s) => ((s.t - t0) / 1000).toFixed(2));
-  const data = motionData.map((s) => s.az);
-  if (chart) chart.destroy();
-  chart = new Chart(ctx, {
+async function openSession(id) {
+  let session;
+  try {
+    session = await getSession(id);
+  } catch (err) {
+    console.error('No se pudo abrir la sesión', err);
+    return;
+  }
+  if (!session) return;
+  hideHistory();
+  currentSession = session;
+  motionData = session.motionData;
+  orientationData = session.orientationData;
+  showSession(session);
+}
+
+// Results of a stored session, re-analysed only for the chart signals
+function showSession(session) {
+  renderResults(
+    session.items,
+    session.summary,
+    session.protocol,
+    session.sampling,
+    session.quality,
+    chartSignals(session.settings?.detection?.calibMs)
+  );
+}
+
+function formatOptional(value, digits = 2) {
+  return value == null ? '–' : formatNumber(value, digits);
+}
+
+function renderKinetics(k) {
+  return `
+    <p><span class="font-medium">${t('results.force')}:</span> ${formatOptional(
+      k.peakForce,
+      0
+    )} / ${formatOptional(k.meanForce, 0)} N</p>
+    <p><span class="font-medium">${t('results.power')}:</span> ${formatOptional(
+      k.peakPower,
+      0
+    )} / ${formatOptional(k.meanPower, 0)} W</p>
+    <p><span class="font-medium">${t('results.powerSayersHarman')}:</span> ${formatNumber(
+      k.sayersPeakPower,
+      0
+    )} / ${formatNumber(k.harmanPeakPower, 0)} W</p>
+    <p><span class="font-medium">${t('results.powerHarmanMean')}:</span> ${formatNumber(
+      k.harmanMeanPower,
+      0
+    )} W</p>
+  `;
+}
+
+function renderSeriesStats(stats) {
+  const row = (label, s, quantity) => `
+    <tr>
+      <td class="font-medium pr-2">${label}</td>
+      <td>${formatValue(s.best, quantity)}</td>
+      <td>${formatValue(s.mean, quantity)}</td>
+      <td>${formatValue(s.sd, quantity)}</td>
+      <td>${formatNumber(s.cv, 1)}</td>
+      <td class="text-gray-500">${unitSymbol(quantity)}</td>
+    </tr>`;
+  const f = stats.fatigue;
+  return `
+    <h3 class="font-semibold mb-2">${t('stats.title')}</h3>
+    <table class="w-full text-sm text-right mb-2">
+      <thead>
+        <tr class="text-gray-500">
+          <th></th><th>${t('stats.best')}</th><th>${t('stats.mean')}</th><th>${t(
+            'stats.sd'
+          )}</th><th>${t('stats.cv')}</th><th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row(t('stats.height'), stats.h, QUANTITIES.LENGTH)}
+        ${row(t('stats.contact'), stats.tc, QUANTITIES.TIME)}
+        ${row(t('stats.rsi'), stats.rsi, QUANTITIES.RSI)}
+      </tbody>
+    </table>
+    ${
+      f
+        ? `
+    <p><span class="font-medium">${t('stats.fatigue', { n: f.n })}:</span> ${t('stats.drops', {
+      height: formatNumber(f.heightDrop, 1),
+      rsi: formatNumber(f.rsiDrop, 1),
+    })}</p>
+    <p><span class="font-medium">${t('stats.decrement')}:</span> ${t('stats.drops', {
+      height: formatNumber(f.heightDecrement, 1),
+      rsi: formatNumber(f.rsiDecrement, 1),
+    })}</p>`
+        : ''
+    }
+  `;
+}
+
+function renderTrendChart(canvas, items) {
+  if (trendChart) trendChart.destroy();
+  const { LENGTH, TIME, RSI } = QUANTITIES;
+  // Valid jumps only, labelled with their card number
+  const labels = [];
+  const jumps = [];
+  items.forEach((item, idx) => {
+    if (!isValidItem(item)) return;
+    labels.push(String(idx + 1));
+    jumps.push(item);
+  });
+  const line = (label, data, color, yAxisID) => ({
+    label,
+    data,
+    yAxisID,
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 2,
+    pointRadius: 3,
+  });
+  trendChart = new Chart(canvas.getContext('2d'), {
     type: 'line',
     data: {
       labels,
       datasets: [
-        {
-          label: 'Aceleración Z (m/s²)',
-          data,
-          borderColor: 'rgb(59,130,246)',
-          backgroundColor: 'rgba(59,130,246,0.2)',
-          borderWidth: 2,
-          pointRadius: 0,
-        },
+        line(
+          withUnit(t('trend.height'), LENGTH),
+          jumps.map((it) => convert(it.h, LENGTH)),
+          'rgb(59,130,246)',
+          'y'
+        ),
+        line(
+          withUnit(t('trend.contact'), TIME),
+          jumps.map((it) => convert(it.tc, TIME)),
+          'rgb(234,88,12)',
+          'y2'
+        ),
+        line(
+          withUnit(t('trend.rsi'), RSI),
+          jumps.map((it) => rsiOf(it)),
+          'rgb(22,163,74)',
+          'y1'
+        ),
       ],
     },
     options: {
@@ -208,31 +569,603 @@ function renderResults(items, summary) {
       maintainAspectRatio: false,
       scales: {
         x: {
-          title: { display: true, text: 'Tiempo (s)' },
+          title: { display: true, text: t('trend.jump') },
         },
         y: {
-          title: { display: true, text: 'm/s²' },
+          position: 'left',
+          title: { display: true, text: withUnit(t('trend.height'), LENGTH) },
+        },
+        // Contact gets its own scale: in ms it would flatten the height line
+        y2: {
+          position: 'left',
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: withUnit(t('trend.contact'), TIME) },
+        },
+        y1: {
+          position: 'right',
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: withUnit(t('trend.rsi'), RSI) },
         },
       },
     },
   });
+}
+
+// Measured delivery of the raw samples, with dropped-sample gaps if any
+// (sessions with a quality assessment report gaps among its issues)
+function renderSampling(sampling, showGaps = true) {
+  const gaps = showGaps && sampling.gaps.length
+    ? `<p class="text-red-600">${t('quality.gaps', {
+        count: sampling.gaps.length,
+        missing: sampling.missing,
+        longest: Math.round(Math.max(...sampling.gaps.map((g) => g.duration))),
+      })}</p>`
+    : '';
+  return `
+    <p class="text-sm text-gray-500">${t('results.sampling', {
+      rate: formatNumber(sampling.rate, 1),
+      jitter: formatNumber(sampling.jitter, 1),
+    })}</p>
+    ${gaps}
+  `;
+}
+
+// Outlines the jump card highlighted on the chart (null clears it)
+function selectJumpCard(index) {
+  resultsDiv.querySelectorAll('[data-jump]').forEach((card) => {
+    card.classList.toggle('ring-2', Number(card.dataset.jump) === index);
+    card.classList.toggle('ring-blue-500', Number(card.dataset.jump) === index);
+  });
+}
+
+// Quality warnings; errors mean the jump times are not reliable
+function renderQualityIssues(issues) {
+  return issues
+    .map(
+      (issue) =>
+        `<p class="text-sm ${
+          issue.severity === 'error' ? 'text-red-600' : 'text-yellow-700'
+        }">⚠ ${escapeHtml(issueMessage(issue))}</p>`
+    )
+    .join('');
+}
+
+// Signals for the analysis chart, conditioned like the detection did
+function chartSignals(calibMs = detectionThresholds.calibMs) {
+  return motionData.length ? conditionCapture(analysisSamples(), { calibMs }) : null;
+}
+
+function renderResults(
+  items,
+  summary,
+  protocol = protocolId,
+  sampling = null,
+  quality = null,
+  signals = null
+) {
+  resultsDiv.innerHTML = '';
+  permBtn.classList.add('hidden');
+  editor = null;
+
+  const proto = getProtocol(protocol);
+  const cards = document.createElement('div');
+  cards.className = 'grid grid-cols-1 sm:grid-cols-2 gap-4';
+  fillResultCards(cards, items, summary, proto, sampling, quality);
+  resultsDiv.appendChild(cards);
+
+  const canvas = document.createElement('canvas');
+  canvas.id = 'jump-chart';
+  canvas.className = 'w-full h-64 touch-none';
+  resultsDiv.appendChild(canvas);
+
+  if (chart) chart.destroy();
+  chart = signals
+    ? renderAnalysisChart(
+        canvas,
+        signals,
+        items.map((item) => item.evt)
+      )
+    : null;
+  if (chart) {
+    const chartRow = document.createElement('div');
+    chartRow.className = 'flex gap-2 self-end';
+    const zoomBtn = document.createElement('button');
+    zoomBtn.className = 'bg-gray-200 px-3 py-1 rounded text-sm';
+    zoomBtn.textContent = t('chart.fullCapture');
+    zoomBtn.addEventListener('click', () => {
+      selectJumpCard(null);
+      chart.resetZoom();
+    });
+    const addBtn = document.createElement('button');
+    addBtn.className = 'hidden bg-gray-200 px-3 py-1 rounded text-sm';
+    addBtn.textContent = t('chart.addJump');
+    addBtn.addEventListener('click', () => {
+      chart.addJumpAtNextTap();
+      addBtn.textContent = t('chart.tapTakeoff');
+    });
+    const editBtn = document.createElement('button');
+    editBtn.className = 'bg-gray-200 px-3 py-1 rounded text-sm';
+    editBtn.textContent = t('chart.edit');
+    editBtn.addEventListener('click', () => {
+      if (editor) {
+        finishEditing();
+        editBtn.textContent = t('chart.edit');
+      } else {
+        startEditing({ cards, trendCanvas, proto, sampling, signals, addBtn });
+        editBtn.textContent = t('chart.saveEdits');
+      }
+      addBtn.classList.toggle('hidden', !editor);
+    });
+    chartRow.append(zoomBtn, addBtn, editBtn);
+    resultsDiv.appendChild(chartRow);
+  }
+
+  const trendCanvas = document.createElement('canvas');
+  trendCanvas.id = 'trend-chart';
+  trendCanvas.className = 'w-full h-48';
+  resultsDiv.appendChild(trendCanvas);
+  updateTrendChart(trendCanvas, items);
+
+  const exportRow = document.createElement('div');
+  exportRow.className = 'flex gap-2 self-center';
+  const csvBtn = document.createElement('button');
+  csvBtn.className = 'bg-blue-500 text-white px-4 py-2 rounded';
+  csvBtn.textContent = t('results.exportCsv');
+  csvBtn.addEventListener('click', () => {
+    if (currentSession) exportSessionCsv(currentSession, getUnits());
+  });
+  const jsonBtn = document.createElement('button');
+  jsonBtn.className = 'bg-blue-500 text-white px-4 py-2 rounded';
+  jsonBtn.textContent = t('results.exportJson');
+  jsonBtn.addEventListener('click', () => {
+    if (currentSession) exportSessionJson(currentSession);
+  });
+  exportRow.append(csvBtn, jsonBtn);
+  resultsDiv.appendChild(exportRow);
 
   const resetBtn = document.createElement('button');
   resetBtn.id = 'reset-btn';
   resetBtn.className = 'bg-gray-500 text-white px-4 py-2 rounded self-center';
-  resetBtn.textContent = 'Reset';
+  resetBtn.textContent = t('results.reset');
   resetBtn.addEventListener('click', resetApp);
   resultsDiv.appendChild(resetBtn);
 }
 
+// Summary, protocol, series and per-jump cards; refilled after manual edits
+function fillResultCards(cards, items, summary, proto, sampling, quality) {
+  cards.innerHTML = '';
+  if (summary) {
+    const expected = proto.expectedJumps ? ` / ${proto.expectedJumps}` : '';
+    const summaryCard = document.createElement('div');
+    summaryCard.className = 'bg-white p-4 rounded shadow';
+    summaryCard.innerHTML = `
+      <h3 class="font-semibold mb-2">${t('results.summary')}</h3>
+      <p><span class="font-medium">${t('results.protocol')}:</span> ${proto.name}</p>
+      <p><span class="font-medium">${t('results.count')}:</span> ${summary.count}${expected}</p>
+      <p><span class="font-medium">${t('results.cadence')}:</span> ${formatNumber(
+        summary.cadence,
+        2
+      )} ${t('results.cadenceUnit')}</p>
+      ${sampling?.rate ? renderSampling(sampling, !quality) : ''}
+      ${
+        quality
+          ? `<p><span class="font-medium">${t('results.quality')}:</span> ${quality.score}/100</p>
+      ${renderQualityIssues(quality.issues)}`
+          : ''
+      }
+    `;
+    cards.appendChild(summaryCard);
+  } else if (!items.length) {
+    const emptyCard = document.createElement('div');
+    emptyCard.className = 'bg-white p-4 rounded shadow';
+    emptyCard.innerHTML = `
+      <p class="text-center text-gray-500">${t('results.noJumps')}</p>
+      ${quality ? renderQualityIssues(quality.issues) : ''}
+    `;
+    cards.appendChild(emptyCard);
+  }
+
+  // RSI in the preferred form, for protocol outputs and series stats
+  const valid = items.filter(isValidItem);
+  const shown = withDisplayRsi(valid);
+  const outputs = protocolResults(proto.id, shown);
+  if (outputs.length) {
+    const protoCard = document.createElement('div');
+    protoCard.className = 'bg-white p-4 rounded shadow';
+    protoCard.innerHTML = `
+      <h3 class="font-semibold mb-2">${proto.name}</h3>
+      ${outputs
+        .map(
+          (o) =>
+            `<p><span class="font-medium">${o.label}:</span> ${
+              o.quantity ? formatQuantity(o.value, o.quantity) : `${formatNumber(o.value, 2)} ${o.unit}`
+            }</p>`
+        )
+        .join('')}
+    `;
+    cards.appendChild(protoCard);
+  }
+
+  if (valid.length >= 2) {
+    const statsCard = document.createElement('div');
+    statsCard.className = 'bg-white p-4 rounded shadow';
+    statsCard.innerHTML = renderSeriesStats(seriesStats(shown));
+    cards.appendChild(statsCard);
+  }
+
+  items.forEach((item, idx) => {
+    const card = document.createElement('div');
+    const flagged = item.quality?.issues.length;
+    card.className = `bg-white p-4 rounded shadow cursor-pointer${
+      flagged ? ' border-l-4 border-yellow-500' : ''
+    }`;
+    card.innerHTML = `
+      <h3 class="font-semibold mb-2">${t('results.jump', { n: idx + 1 })}${
+        item.evt?.manual ? ` ${t('results.manual')}` : ''
+      }${item.quality?.valid === false ? ` ${t('results.invalid')}` : ''}</h3>
+      <p><span class="font-medium">${t('results.flightTime')}:</span> ${formatQuantity(
+        item.tf,
+        QUANTITIES.TIME
+      )}</p>
+      <p><span class="font-medium">${t('results.heights')}:</span> ${formatValue(
+        item.h,
+        QUANTITIES.LENGTH
+      )} / ${formatValue(item.hImpulse, QUANTITIES.LENGTH)} ${unitSymbol(QUANTITIES.LENGTH)}</p>
+      <p><span class="font-medium">${t('results.takeoffVelocity')}:</span> ${formatOptional(
+        item.vTakeoff
+      )} m/s</p>
+      <p><span class="font-medium">${t('results.contactTime')}${
+        item.evt?.contactFrom === 'landing' ? ` ${t('results.rebound')}` : ''
+      }:</span> ${formatQuantity(item.tc, QUANTITIES.TIME)}</p>
+      <p><span class="font-medium">${t('results.rsi')}:</span> ${formatQuantity(
+        rsiOf(item),
+        QUANTITIES.RSI
+      )}</p>
+      ${item.kinetics ? renderKinetics(item.kinetics) : ''}
+      ${flagged ? renderQualityIssues(item.quality.issues) : ''}
+    `;
+    card.dataset.jump = idx;
+    card.addEventListener('click', () => {
+      if (!chart) return;
+      selectJumpCard(idx);
+      chart.highlight(idx);
+      document
+        .getElementById('jump-chart')
+        .scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+    if (editor) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'bg-red-500 text-white px-3 py-1 rounded text-sm mt-2';
+      deleteBtn.textContent = t('chart.deleteJump');
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        applyEventEdits(items.filter((_, i) => i !== idx).map((it) => it.evt));
+      });
+      card.appendChild(deleteBtn);
+    }
+    cards.appendChild(card);
+  });
+}
+
+function updateTrendChart(canvas, items) {
+  const enough = items.filter(isValidItem).length >= 2;
+  canvas.classList.toggle('hidden', !enough);
+  if (enough) {
+    renderTrendChart(canvas, items);
+  } else if (trendChart) {
+    trendChart.destroy();
+    trendChart = null;
+  }
+}
+
+// Manual correction: the chart markers become draggable and every change
+// recomputes the metrics of the whole series from the edited events
+function startEditing({ cards, trendCanvas, proto, sampling, signals, addBtn }) {
+  if (!currentSession || !chart) return;
+  const trace = signals.t.map((t, i) => ({
+    t,
+    aVert: signals.aVertRaw[i],
+    aTot: signals.aTotRaw[i],
+  }));
+  editor = {
+    cards,
+    trendCanvas,
+    proto,
+    addBtn,
+    context: {
+      samples: analysisSamples(),
+      trace,
+      sampling,
+      bodyMass: currentSession.bodyMass,
+      calibMs: currentSession.settings?.detection?.calibMs ?? detectionThresholds.calibMs,
+    },
+  };
+  chart.setEditing(true, { onChange: applyEventEdits });
+  const { items, summary, quality } = currentSession;
+  fillResultCards(cards, items, summary, proto, sampling, quality);
+}
+
+// A jump stays a rebound only while its contact still starts at the previous
+// landing; moved markers or a deleted jump in between break the link
+function relinkRebounds(events) {
+  return events.map((evt, i) => {
+    if (evt.contactFrom !== 'landing') return evt;
+    if (i > 0 && evt.tContactStart === events[i - 1].tLanding) return evt;
+    const { vContactStart, ...rest } = evt;
+    return { ...rest, contactFrom: 'movement' };
+  });
+}
+
+function applyEventEdits(events) {
+  if (!editor) return;
+  const sorted = relinkRebounds([...events].sort((a, b) => a.tTakeoff - b.tTakeoff));
+  const { items, summary, quality } = evaluateEvents(sorted, editor.context);
+  Object.assign(currentSession, { events: sorted, items, summary, quality, editedAt: Date.now() });
+  chart.setEvents(sorted);
+  editor.addBtn.textContent = t('chart.addJump');
+  fillResultCards(editor.cards, items, summary, editor.proto, editor.context.sampling, quality);
+  updateTrendChart(editor.trendCanvas, items);
+}
+
+function finishEditing() {
+  if (!editor) return;
+  const { cards, proto, context } = editor;
+  editor = null;
+  chart.setEditing(false);
+  const { items, summary, quality } = currentSession;
+  fillResultCards(cards, items, summary, proto, context.sampling, quality);
+  if (!currentSession.editedAt) return;
+  saveSession(currentSession)
+    .then((id) => {
+      currentSession.id = id;
+    })
+    .catch((err) => console.error('No se pudo guardar la sesión', err));
+}
+
+async function importCapture(file) {
+  let capture;
+  try {
+    capture = parseCaptureFile(await readFileText(file), file.name);
+  } catch (err) {
+    console.error(err);
+    alert(t('results.importFailed', { error: err.message }));
+    return;
+  }
+  const localAthlete = await localAthleteFor(capture.athlete);
+  if (capturing) return;
+  if (replay) replay.cancel();
+  replay = null;
+  stopLiveDetection();
+  hideHistory();
+  resultsDiv.innerHTML = '';
+  currentSession = null;
+
+  const source = {
+    type: 'import',
+    fileName: file.name,
+    createdAt: capture.createdAt,
+  };
+  const protocol = capture.protocol || protocolId;
+  // The recording keeps the athlete and mass it was captured with, never the
+  // selected ones; a file without them is stored with no athlete
+  const owner = { athleteId: localAthlete?.id ?? null, athlete: capture.athlete };
+  const bodyMass = capture.bodyMass ?? capture.athlete?.bodyMass ?? null;
+  orientationData = capture.orientationData;
+  if (!realtimeEl.checked) {
+    motionData = capture.motionData;
+    storeSession(analyzeJumps(protocol, bodyMass), source, owner);
+    return;
+  }
+  startReplay(capture.motionData, source, protocol, { bodyMass, owner });
+}
+
+// Athlete ids are per device: a file from another phone is linked to the
+// local profile only when both the id and the name match
+async function localAthleteFor(athlete) {
+  if (athlete?.id == null) return null;
+  try {
+    const local = await getAthlete(athlete.id);
+    return local?.name === athlete.name ? local : null;
+  } catch (err) {
+    console.warn('No se pudo buscar el atleta de la captura', err);
+    return null;
+  }
+}
+
+// Feed a recording through the live detector at its original pace
+function startReplay(samples, source, protocol, { bodyMass, owner }) {
+  motionData = [];
+  bodyEl.style.backgroundColor = 'rgba(255,0,0,0.3)';
+  startLiveDetection(protocol);
+  replay = replayCapture(samples, {
+    realtime: true,
+    onSample: recordSample,
+    onDone: () => {
+      replay = null;
+      bodyEl.style.backgroundColor = defaultBg;
+      stopLiveDetection();
+      storeSession(analyzeJumps(protocol, bodyMass), source, owner);
+    },
+  });
+}
+
+function startLiveDetection(protocol = protocolId) {
+  liveDetector = null;
+  liveContactMode = getProtocol(protocol).contactMode;
+  orientationCursor = 0;
+  liveFusion = null;
+  liveCalib = [];
+  liveJumpCount = 0;
+  liveJumpsDiv.innerHTML = '';
+  setYName('live.height');
+  yValueEl.textContent = '–';
+}
+
+function stopLiveDetection() {
+  liveDetector = null;
+  liveCalib = [];
+  liveJumpsDiv.innerHTML = '';
+  setYName('live.magnitude');
+}
+
+// The readout label keeps its catalog key so a language switch relabels it
+function setYName(key) {
+  yNameEl.dataset.i18n = key;
+  yNameEl.textContent = t(key);
+}
+
+// Live captures open with the verified still window, so the first calibMs
+// of the capture calibrate the live detector exactly like the batch analysis
+function feedLiveDetector(sample) {
+  sample = { ...sample, up: verticalAxisFor(sample) };
+  if (!liveDetector) {
+    liveCalib.push(sample);
+    if (sample.t - liveCalib[0].t < detectionThresholds.calibMs) return;
+    const { g0, gUnit } = estimateGravity(liveCalib);
+    liveDetector = new JumpEventDetector({
+      g0,
+      gUnit,
+      sampleRate: estimateSampleRate(liveCalib.map((s) => s.t)) || DEFAULT_SAMPLE_RATE,
+      thresholds: detectionThresholds,
+      contactMode: liveContactMode,
+      onJump: onLiveJump,
+    });
+    liveCalib.forEach((s) => liveDetector.feed(s));
+    liveCalib = [];
+    return;
+  }
+  liveDetector.feed(sample);
+}
+
+// Vertical axis from the latest orientation sample at time t (ms). Live
+// captures only ever look at the tail; replays walk the stored recording.
+function verticalAxisAt(t) {
+  while (
+    orientationCursor + 1 < orientationData.length &&
+    orientationData[orientationCursor + 1].t <= t
+  ) {
+    orientationCursor++;
+  }
+  const o = orientationData[orientationCursor];
+  if (!o || o.t > t || t - o.t > ORIENTATION_MAX_GAP_MS) return undefined;
+  return upAxisFromOrientation(o);
+}
+
+function verticalAxisFor(sample) {
+  if (orientationData.length) return verticalAxisAt(sample.t);
+  if (!Number.isFinite(sample.gx)) return undefined;
+  const accel = [sample.ax, sample.ay, sample.az];
+  if (!liveFusion) {
+    liveFusion = createOrientationFilter(FUSION_FILTERS.MADGWICK, {
+      quaternion: quaternionFromGravity(accel),
+    });
+    liveFusionT = sample.t;
+  }
+  const gyro = [sample.gx, sample.gy, sample.gz];
+  const q = liveFusion.update(gyro, accel, null, (sample.t - liveFusionT) / 1000);
+  liveFusionT = sample.t;
+  return upAxisFromQuaternion(q);
+}
+
+function onLiveJump(evt, metrics) {
+  liveJumpCount++;
+  if (!announceJump(liveJumpCount, metrics)) playBeep();
+  const expected = tuning ? TUNING_JUMPS : getProtocol(protocolId).expectedJumps;
+  if (capturing && expected && liveJumpCount >= expected && !captureTimer) {
+    // Leave a second after the last landing before closing the capture
+    captureTimer = setTimeout(() => endCapture(true), 1000);
+  }
+  yValueEl.textContent = `${formatValue(metrics.h, QUANTITIES.LENGTH)} / ${formatValue(
+    metrics.hImpulse,
+    QUANTITIES.LENGTH
+  )} ${unitSymbol(QUANTITIES.LENGTH)}`;
+  const card = document.createElement('div');
+  card.className = 'bg-white p-2 rounded shadow text-sm';
+  card.innerHTML = `
+    <p class="font-semibold">${t('live.jump', { n: liveJumpCount })}</p>
+    <p>${formatValue(metrics.h, QUANTITIES.LENGTH)} / ${formatValue(
+      metrics.hImpulse,
+      QUANTITIES.LENGTH
+    )} ${unitSymbol(QUANTITIES.LENGTH)} · ${formatQuantity(metrics.tf, QUANTITIES.TIME)}</p>
+  `;
+  liveJumpsDiv.prepend(card);
+}
+
+function recordSample(sample) {
+  if (calibrator) {
+    calibrateSample(sample);
+    return;
+  }
+  motionData.push(sample);
+  feedLiveDetector(sample);
+}
+
+// The capture only starts once the athlete has stood still for calibMs; that
+// still window opens the recording, so the batch analysis calibrates on it too
+function calibrateSample(sample) {
+  const status = calibrator.push(sample);
+  setStillnessLed(status.still);
+  if (status.state === CALIBRATION_STATES.CALIBRATING) {
+    setYName(status.still ? 'live.calibrating' : 'live.moving');
+    yValueEl.textContent = `${Math.round(status.progress * 100)} %`;
+    return;
+  }
+  const stillWindow = calibrator.samples();
+  calibrator = null;
+  setLed(true);
+  if (status.state === CALIBRATION_STATES.FAILED) {
+    calibrationFailed();
+    return;
+  }
+  calibration = status.result.stats;
+  orientationData = orientationData.filter(
+    (o) => o.t >= stillWindow[0].t - ORIENTATION_MAX_GAP_MS
+  );
+  setYName('live.height');
+  yValueEl.textContent = '–';
+  playBeep();
+  stillWindow.forEach((s) => {
+    motionData.push(s);
+    feedLiveDetector(s);
+  });
+  startCaptureTimer();
+}
+
+function calibrationFailed() {
+  capturing = false;
+  protocolSelectEl.disabled = false;
+  stopLiveDetection();
+  motionData = [];
+  orientationData = [];
+  bodyEl.style.backgroundColor = defaultBg;
+  playBeep(true);
+  nextTapAllowedAt = performance.now() + TAP_COOLDOWN;
+  resultsDiv.innerHTML = `<p class="text-center text-red-600">${t('calibration.failed')}</p>`;
+}
+
 function resetApp() {
+  if (replay) {
+    replay.cancel();
+    replay = null;
+  }
+  stopLiveDetection();
   motionData = [];
   orientationData = [];
+  currentSession = null;
   capturing = false;
+  tuning = false;
+  calibrator = null;
+  calibration = null;
+  editor = null;
+  setLed(sensorListening);
   if (chart) {
     chart.destroy();
     chart = null;
   }
+  if (trendChart) {
+    trendChart.destroy();
+    trendChart = null;
+  }
   resultsDiv.innerHTML = '';
   dotEl.style.transform = 'translate(-50%, -50%)';
   if (isIOS) {
@@ -256,10 +1189,19 @@ function initAudio() {
 }
 
 function setLed(on) {
+  ledEl.classList.remove('bg-yellow-400', 'animate-pulse');
   ledEl.classList.toggle('bg-green-500', on);
   ledEl.classList.toggle('bg-red-500', !on);
 }
 
+// While calibrating the LED pulses green when still and yellow on movement
+function setStillnessLed(still) {
+  ledEl.classList.remove('bg-red-500');
+  ledEl.classList.add('animate-pulse');
+  ledEl.classList.toggle('bg-green-500', still);
+  ledEl.classList.toggle('bg-yellow-400', !still);
+}
+
 function playBeep(long = false) {
   const duration = long ? 0.3 : 0.15;
   if (midiOutput) {
@@ -296,21 +1238,31 @@ function startCountdown(onEnd) {
   tick();
 }
 
-function filterNoise(ax, ay, az) {
-  const fx = Math.abs(ax) < NOISE_FLOOR ? 0 : ax;
-  const fy = Math.abs(ay) < NOISE_FLOOR ? 0 : ay;
-  const fz = Math.abs(az) < NOISE_FLOOR ? 0 : az;
-  const mag = Math.hypot(fx, fy, fz);
-  return { ax: fx, ay: fy, az: fz, mag };
+// Causal low-pass per axis for the on-screen readout only; recorded samples
+// stay raw and are filtered by the detectors
+const displayFilters = [0, 1, 2].map(
+  () => new CausalFilter(detectionFilters(SIGNAL_FILTER_DEFAULTS, DEFAULT_SAMPLE_RATE).tot)
+);
+
+function smoothForDisplay(ax, ay, az) {
+  const [fx, fy, fz] = [ax, ay, az].map((v, i) => displayFilters[i].process(v));
+  return { ax: fx, ay: fy, az: fz, mag: Math.hypot(fx, fy, fz) };
+}
+
+function rawSample(t, ax, ay, az) {
+  return { t, ax, ay, az, mag: Math.hypot(ax, ay, az) };
 }
 
 function processMotion(ev) {
   const acc = ev.accelerationIncludingGravity || ev.acceleration || {};
-  const now = ev.timeStamp;
-  const f = filterNoise(acc.x || 0, acc.y || 0, acc.z || 0);
-  yValueEl.textContent = f.mag.toFixed(2);
+  const now = sourceTimestamp(ev);
+  const f = smoothForDisplay(acc.x || 0, acc.y || 0, acc.z || 0);
+  if (!capturing && !replay) yValueEl.textContent = formatNumber(f.mag, 2);
   if (capturing && !hasSensorAPI) {
-    motionData.push({ t: now, ax: f.ax, ay: f.ay, az: f.az, mag: f.mag });
+    const sample = rawSample(now, acc.x || 0, acc.y || 0, acc.z || 0);
+    const gyro = gyroFromRotationRate(ev.rotationRate);
+    if (gyro) [sample.gx, sample.gy, sample.gz] = gyro;
+    recordSample(sample);
   }
   if (!hasSensorAPI) {
     const x = f.ax * 5;
@@ -333,15 +1285,14 @@ function startSensorListener() {
 }
 
 function handleSensorReading() {
-  const f = filterNoise(
-    accelSensor?.x || 0,
-    accelSensor?.y || 0,
-    accelSensor?.z || 0
-  );
-  const now = performance.now();
-  yValueEl.textContent = f.mag.toFixed(2);
+  const ax = accelSensor?.x || 0;
+  const ay = accelSensor?.y || 0;
+  const az = accelSensor?.z || 0;
+  const f = smoothForDisplay(ax, ay, az);
+  const now = sourceTimestamp(accelSensor);
+  if (!capturing && !replay) yValueEl.textContent = formatNumber(f.mag, 2);
   if (capturing) {
-    motionData.push({ t: now, ax: f.ax, ay: f.ay, az: f.az, mag: f.mag });
+    recordSample(rawSample(now, ax, ay, az));
   }
 
   const x = f.ax * 5;
@@ -350,12 +1301,13 @@ function handleSensorReading() {
 }
 
 function handleOrientation(ev) {
-  if (capturing) {
+  // Devices without an orientation sensor fire events with null angles
+  if (capturing && ev.beta != null && ev.gamma != null) {
     orientationData.push({
-      t: ev.timeStamp,
+      t: sourceTimestamp(ev),
       alpha: ev.alpha || 0,
-      beta: ev.beta || 0,
-      gamma: ev.gamma || 0,
+      beta: ev.beta,
+      gamma: ev.gamma,
     });
   }
 }
@@ -363,35 +1315,317 @@ function handleOrientation(ev) {
 function startCapture() {
   motionData = [];
   orientationData = [];
+  calibration = null;
+  calibrator = new StillnessCalibrator({
+    ms: detectionThresholds.calibMs,
+    restThresh: detectionThresholds.restThresh,
+  });
+  startLiveDetection();
+  setYName('live.calibrating');
+  yValueEl.textContent = '0 %';
+  protocolSelectEl.disabled = true;
   capturing = true;
 }
 
+// Timed protocols count their duration from the end of the calibration
+function startCaptureTimer() {
+  const durationS = tuning ? TUNING_DURATION_S : getProtocol(protocolId).durationS;
+  if (durationS) captureTimer = setTimeout(() => endCapture(true), durationS * 1000);
+}
+
+// Returns whether the capture summary was spoken
 function stopCapture() {
   capturing = false;
+  clearTimeout(captureTimer);
+  captureTimer = null;
+  protocolSelectEl.disabled = false;
+  stopLiveDetection();
+  if (calibrator) {
+    // Stopped before the athlete ever stood still: nothing to analyse
+    calibrator = null;
+    setLed(true);
+    motionData = [];
+    orientationData = [];
+    return false;
+  }
   console.log('Captura detenida. Muestras:', motionData.length, orientationData.length);
-  analyzeJumps();
+  if (tuning) {
+    finishTuning();
+    return false;
+  }
+  const analysis = analyzeJumps();
+  storeSession(analysis);
+  return announceSummary(analysis.items.filter(isValidItem));
+}
+
+function applyThresholds(thresholds, source) {
+  detectionThresholds = { ...JUMP_DETECTION_DEFAULTS, ...thresholds };
+  thresholdsSource = source;
+}
+
+async function loadDeviceThresholds() {
+  try {
+    const profile = await getDeviceProfile();
+    if (profile) applyThresholds(profile.thresholds, 'device');
+  } catch (err) {
+    console.error('No se pudieron leer los umbrales del dispositivo', err);
+  }
+}
+
+function tuningCard(html) {
+  resultsDiv.innerHTML = '';
+  const card = document.createElement('div');
+  card.className = 'bg-white p-4 rounded shadow flex flex-col gap-2';
+  card.innerHTML = `<h3 class="font-semibold">${t('tuning.title')}</h3>${html}`;
+  const buttons = document.createElement('div');
+  buttons.className = 'flex gap-2';
+  card.appendChild(buttons);
+  resultsDiv.appendChild(card);
+  return buttons;
+}
+
+function tuningButton(label, className, onClick) {
+  const btn = document.createElement('button');
+  btn.className = `${className} text-white px-4 py-2 rounded`;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// Arms a practice capture: the next double tap starts it without picking an athlete
+function showTuning() {
+  if (capturing || replay) return;
+  hideHistory();
+  hideAthletes();
+  tuning = true;
+  const source = t(thresholdsSource === 'device' ? 'tuning.deviceProfile' : 'tuning.defaults');
+  const buttons = tuningCard(`
+    <p>${t('tuning.instructions', { jumps: TUNING_JUMPS, seconds: TUNING_DURATION_S })}</p>
+    <p class="text-sm text-gray-500">${source}</p>
+  `);
+  buttons.appendChild(
+    tuningButton(t('common.cancel'), 'bg-gray-500', () => {
+      tuning = false;
+      resultsDiv.innerHTML = '';
+    })
+  );
+  if (thresholdsSource === 'device') {
+    buttons.appendChild(
+      tuningButton(t('tuning.useDefaults'), 'bg-red-500', () => {
+        clearDeviceProfile()
+          .then(() => {
+            applyThresholds({}, 'default');
+            tuning = false;
+            resultsDiv.innerHTML = '';
+          })
+          .catch((err) => console.error('No se pudieron borrar los umbrales', err));
+      })
+    );
+  }
+}
+
+// Proposes thresholds from the practice capture and lets the user keep them
+function finishTuning() {
+  tuning = false;
+  let result;
+  try {
+    result = tuneThresholds(analysisSamples(), {
+      expectedJumps: TUNING_JUMPS,
+      base: detectionThresholds,
+    });
+  } catch (err) {
+    console.error(err);
+    tuningCard(`<p class="text-red-600">${escapeHtml(err.message)}</p>`).appendChild(
+      tuningButton(t('tuning.retry'), 'bg-blue-500', showTuning)
+    );
+    return;
+  }
+  const { thresholds, stats } = result;
+  const rows = TUNED_THRESHOLDS.map(
+    (key) => `
+      <tr>
+        <td>${key}</td>
+        <td class="text-right">${formatNumber(detectionThresholds[key])}</td>
+        <td class="text-right font-medium">${formatNumber(thresholds[key])}</td>
+      </tr>`
+  ).join('');
+  const buttons = tuningCard(`
+    <p>${t('tuning.practice', {
+      jumps: stats.jumps,
+      expected: TUNING_JUMPS,
+      detected: stats.detected,
+    })}</p>
+    <p class="text-sm text-gray-500">${t('tuning.noise', {
+      rest: formatNumber(stats.restNoiseVert, 3),
+      flight: formatNumber(stats.flightVertP95, 3),
+    })}</p>
+    <table class="text-sm">
+      <thead><tr><th class="text-left">${t('tuning.threshold')}</th><th class="text-right">${t(
+        'tuning.current'
+      )}</th><th class="text-right">${t('tuning.proposed')}</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `);
+  buttons.append(
+    tuningButton(t('tuning.save'), 'bg-blue-500', () => {
+      saveDeviceProfile(thresholds, stats)
+        .then(() => {
+          applyThresholds(thresholds, 'device');
+          resultsDiv.innerHTML = `<p class="text-center text-green-600">${t('tuning.saved')}</p>`;
+        })
+        .catch((err) => {
+          console.error('No se pudieron guardar los umbrales', err);
+          alert(t('tuning.saveFailed', { error: err.message }));
+        });
+    }),
+    tuningButton(t('tuning.discard'), 'bg-gray-500', () => {
+      resultsDiv.innerHTML = '';
+    })
+  );
+}
+
+function showAthletes() {
+  if (capturing || replay) return;
+  hideHistory();
+  renderAthletesPanel(athletesDiv, {
+    onClose: () => {},
+    onChange: (athletes) => {
+      // Keep the selected profile in sync with edits and deletions
+      if (!currentAthlete) return;
+      setCurrentAthlete(athletes.find((a) => a.id === currentAthlete.id) || null);
+    },
+  });
+}
+
+function hideAthletes() {
+  athletesDiv.classList.add('hidden');
+  athletesDiv.innerHTML = '';
+}
+
+function setCurrentAthlete(athlete) {
+  currentAthlete = athlete;
+  currentAthleteEl.textContent = athlete ? athlete.name : '—';
+  bodyMassEl.disabled = Boolean(athlete?.bodyMass);
+  if (athlete?.bodyMass) bodyMassEl.value = athlete.bodyMass;
+}
+
+// Ask who is jumping before the countdown; skipped when no profiles exist
+async function pickAthlete(onPicked) {
+  let athletes = [];
+  try {
+    athletes = await listAthletes();
+  } catch (err) {
+    console.error('No se pudieron leer los atletas', err);
+  }
+  if (!athletes.length) {
+    onPicked(currentAthlete);
+    return;
+  }
+
+  pickerOpen = true;
+  pickerListEl.innerHTML = '';
+  const close = () => {
+    pickerOpen = false;
+    pickerEl.classList.add('hidden');
+  };
+  const options = [...athletes, null];
+  options.forEach((athlete) => {
+    const btn = document.createElement('button');
+    const selected = (athlete?.id ?? null) === (currentAthlete?.id ?? null);
+    btn.className = `${
+      selected ? 'bg-blue-500 text-white' : 'bg-gray-200'
+    } px-4 py-2 rounded`;
+    btn.textContent = athlete ? athlete.name : t('common.noAthlete');
+    btn.addEventListener('click', () => {
+      close();
+      setCurrentAthlete(athlete);
+      onPicked(athlete);
+    });
+    pickerListEl.appendChild(btn);
+  });
+  pickerCancelBtn.onclick = close;
+  pickerEl.classList.remove('hidden');
 }
 
 function onDoubleTap() {
   const now = performance.now();
   if (now < nextTapAllowedAt) return;
   if (!permissionGranted) return;
+  if (replay || pickerOpen) return;
   if (!capturing) {
-    nextTapAllowedAt = now + TAP_COOLDOWN; // ignore taps during countdown
-    startCountdown(() => {
-      bodyEl.style.backgroundColor = 'rgba(255,0,0,0.3)';
-      startCapture();
-      nextTapAllowedAt = performance.now() + TAP_COOLDOWN; // wait 3s before allowing stop
-    });
+    hideHistory();
+    hideAthletes();
+    if (tuning) beginCountdown();
+    else pickAthlete(() => beginCountdown());
   } else {
-    stopCapture();
-    bodyEl.style.backgroundColor = defaultBg;
-    countdownEl.classList.add('hidden');
-    nextTapAllowedAt = now + TAP_COOLDOWN; // wait 3s before new start
+    endCapture();
+  }
+}
+
+function beginCountdown() {
+  nextTapAllowedAt = performance.now() + TAP_COOLDOWN; // ignore taps during countdown
+  startCountdown(() => {
+    bodyEl.style.backgroundColor = 'rgba(255,0,0,0.3)';
+    startCapture();
+    nextTapAllowedAt = performance.now() + TAP_COOLDOWN; // wait 3s before allowing stop
+  });
+}
+
+// Closes the capture, either from a double tap or when the protocol is complete
+function endCapture(auto = false) {
+  if (!capturing) return;
+  const announced = stopCapture();
+  if (auto && !announced) playBeep(true);
+  bodyEl.style.backgroundColor = defaultBg;
+  countdownEl.classList.add('hidden');
+  nextTapAllowedAt = performance.now() + TAP_COOLDOWN; // wait 3s before new start
+}
+
+function initProtocols() {
+  Object.values(JUMP_PROTOCOLS).forEach((p) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    protocolSelectEl.appendChild(opt);
+  });
+  protocolSelectEl.value = protocolId;
+  protocolSelectEl.addEventListener('change', () => {
+    protocolId = protocolSelectEl.value;
+    showProtocolHelp();
+  });
+  showProtocolHelp();
+}
+
+function showProtocolHelp() {
+  const proto = getProtocol(protocolId);
+  protocolNameEl.textContent = proto.name;
+  protocolInstructionsEl.textContent = proto.instructions;
+}
+
+// Static text follows its data-i18n key; panels and results built from data
+// are rebuilt
+function refreshLanguage() {
+  translatePage();
+  protocolSelectEl.querySelectorAll('option').forEach((opt) => {
+    opt.textContent = getProtocol(opt.value).name;
+  });
+  showProtocolHelp();
+  redrawPanels();
+}
+
+// Also after a units change; skipped while capturing or editing events
+function redrawPanels() {
+  if (capturing || replay) return;
+  if (!historyDiv.classList.contains('hidden')) showHistory();
+  if (!athletesDiv.classList.contains('hidden')) showAthletes();
+  if (currentSession && !editor && resultsDiv.querySelector('#reset-btn')) {
+    showSession(currentSession);
   }
 }
 
 function requestPermission() {
+  // iOS only lets speech start from a user gesture, like this click
+  primeSpeech();
   if (
     typeof DeviceMotionEvent !== 'undefined' &&
     typeof DeviceMotionEvent.requestPermission === 'function'
@@ -426,6 +1660,35 @@ if (isIOS) {
   startSensorListener();
 }
 
+translatePage();
+bindLanguageSelect(langSelectEl);
+bindUnitSelect(lengthUnitEl, QUANTITIES.LENGTH);
+bindUnitSelect(timeUnitEl, QUANTITIES.TIME);
+bindUnitSelect(rsiUnitEl, QUANTITIES.RSI);
+bindSpeechSettings({
+  verbosity: speechVerbosityEl,
+  lang: speechLangEl,
+  voice: speechVoiceEl,
+});
+speechTestBtn.disabled = !isSpeechSupported();
+speechUnsupportedEl.classList.toggle('hidden', isSpeechSupported());
+speechTestBtn.addEventListener('click', () => {
+  speak(jumpPhrase(3, SAMPLE_JUMP), { interrupt: true });
+});
+onLocaleChange(refreshLanguage);
+onUnitsChange(redrawPanels);
+initProtocols();
+loadDeviceThresholds();
+historyBtn.addEventListener('click', showHistory);
+athletesBtn.addEventListener('click', showAthletes);
+tuneBtn.addEventListener('click', showTuning);
+importBtn.addEventListener('click', () => importFileEl.click());
+importFileEl.addEventListener('change', () => {
+  const file = importFileEl.files[0];
+  importFileEl.value = '';
+  if (file) importCapture(file);
+});
+
 initAudio();
 useDoubleTap({
   threshold: TAP_THRESHOLD,
@@ -0,0 +1,301 @@
+// English catalog: same keys as es.js; missing ones fall back to Spanish
+
+export default Object.freeze({
+  // Language switcher
+  'language.label': 'Language',
+
+  // Units (Units.js)
+  'units.label': 'Units',
+  'units.length': 'Height',
+  'units.time': 'Times',
+  'units.rsi': 'RSI',
+  'units.m': 'metres (m)',
+  'units.cm': 'centimetres (cm)',
+  'units.in': 'inches (in)',
+  'units.s': 'seconds (s)',
+  'units.ms': 'milliseconds (ms)',
+  'units.m/s': 'height / contact (m/s)',
+  'units.ratio': 'flight / contact (unitless)',
+
+  // Spoken results (Speech.js)
+  'speech.label': 'Spoken results',
+  'speech.verbosity': 'Announcements',
+  'speech.verbosity.off': 'Beeps only',
+  'speech.verbosity.summary': 'Summary at the end',
+  'speech.verbosity.jumps': 'Every jump',
+  'speech.verbosity.detailed': 'Every jump, detailed',
+  'speech.language': 'Language',
+  'speech.lang.auto': 'Same as the interface',
+  'speech.voice': 'Voice',
+  'speech.voice.default': 'Default',
+  'speech.test': 'Test',
+  'speech.unsupported': 'This browser cannot speak: beeps are used instead.',
+  'speech.jump': 'Jump {n}, {height}',
+  'speech.jumpDetails': '{jump}, RSI {rsi}, contact {contact}',
+  'speech.summary': '{count} jumps. Best height {height}',
+  'speech.summaryOne': 'One jump. Height {height}',
+  'speech.summaryDetails': '{summary}. Mean height {mean}. Best RSI {rsi}',
+  'speech.m': '{value} metres',
+  'speech.cm': '{value} centimetres',
+  'speech.in': '{value} inches',
+  'speech.s': '{value} seconds',
+  'speech.ms': '{value} milliseconds',
+
+  // Shared actions
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.delete': 'Delete',
+  'common.edit': 'Edit',
+  'common.open': 'Open',
+  'common.save': 'Save',
+  'common.noAthlete': 'No athlete',
+
+  // index.html
+  'index.heading': 'Sensor Demo',
+  'index.intro':
+    'Press the button to enable access to the motion sensors and watch the red dot follow your movements.',
+  'index.permissions': 'Motion permissions',
+  'index.help': 'Help',
+  'index.history': 'History',
+  'index.athletes': 'Athletes',
+  'index.progress': 'Progress',
+  'index.tune': 'Tune thresholds',
+  'index.athlete': 'Athlete:',
+  'index.import': 'Import capture',
+  'index.realtime': 'Real time',
+  'index.protocol': 'Protocol:',
+  'index.bodyMass': 'Body mass without athlete (kg):',
+  'picker.title': 'Who is jumping?',
+  'help.title': 'How to wear the phone',
+  'help.body':
+    'Strap the phone firmly to your lower back, at waist height, with the screen facing out. Use a belt or elastic band to keep it still during the test.',
+
+  // Live readout
+  'live.magnitude': 'Magnitude',
+  'live.height': 'Height',
+  'live.calibrating': 'Calibrating, stay still',
+  'live.moving': 'Stay still!',
+  'live.jump': 'Jump {n}',
+  'calibration.failed':
+    'Could not get a still window to calibrate. Stand motionless after the countdown and try again.',
+
+  // History
+  'history.title': 'History',
+  'history.empty': 'No saved sessions',
+  'history.details': '{athlete} · {protocol} · {jumps} jumps · {samples} samples',
+  'history.best': 'best height {height}',
+  'history.confirmDelete': 'Delete this session?',
+
+  // Results
+  'results.noJumps': 'No jumps detected',
+  'results.summary': 'Summary',
+  'results.protocol': 'Protocol',
+  'results.count': 'Count',
+  'results.cadence': 'Cadence',
+  'results.cadenceUnit': 'jumps/min',
+  'results.quality': 'Signal quality',
+  'results.sampling': 'Sampling: {rate} Hz · jitter {jitter} ms',
+  'results.jump': 'Jump {n}',
+  'results.manual': '(manual)',
+  'results.invalid': '(not valid)',
+  'results.flightTime': 'Flight time',
+  'results.heights': 'Height (flight / impulse)',
+  'results.takeoffVelocity': 'Takeoff velocity',
+  'results.contactTime': 'Contact time',
+  'results.rebound': '(rebound)',
+  'results.rsi': 'RSI',
+  'results.force': 'Peak / mean force',
+  'results.power': 'Peak / mean power',
+  'results.powerSayersHarman': 'Sayers / Harman peak power',
+  'results.powerHarmanMean': 'Harman mean power',
+  'results.exportCsv': 'Export CSV',
+  'results.exportJson': 'Export JSON',
+  'results.reset': 'Reset',
+  'results.importFailed': 'Could not import the capture: {error}',
+
+  // Consistency and fatigue card
+  'stats.title': 'Consistency and fatigue',
+  'stats.best': 'Best',
+  'stats.mean': 'Mean',
+  'stats.sd': 'SD',
+  'stats.cv': 'CV %',
+  'stats.height': 'Height',
+  'stats.contact': 'Contact',
+  'stats.rsi': 'RSI',
+  'stats.fatigue': 'Fatigue index (first vs last {n})',
+  'stats.decrement': 'Decrement (Sdec)',
+  'stats.drops': 'height {height} % · RSI {rsi} %',
+
+  // Charts
+  'trend.jump': 'Jump',
+  'trend.height': 'Height',
+  'trend.contact': 'Contact',
+  'trend.rsi': 'RSI',
+  'chart.aVert': 'vertical a (m/s²)',
+  'chart.aVertFiltered': 'filtered vertical a',
+  'chart.aTot': '|a| − g',
+  'chart.time': 'Time (s)',
+  'chart.fullCapture': 'Show full capture',
+  'chart.addJump': 'Add jump',
+  'chart.tapTakeoff': 'Tap the takeoff…',
+  'chart.edit': 'Edit events',
+  'chart.saveEdits': 'Save changes',
+  'chart.deleteJump': 'Delete jump',
+
+  // Threshold tuning
+  'tuning.title': 'Threshold tuning',
+  'tuning.deviceProfile': 'This device already has tuned thresholds.',
+  'tuning.defaults': 'The default thresholds are in use.',
+  'tuning.instructions':
+    'Double tap to start, stay still until the signal and do {jumps} maximal jumps with a few seconds of rest between them. The capture lasts {seconds} s.',
+  'tuning.useDefaults': 'Use default values',
+  'tuning.retry': 'Retry',
+  'tuning.practice': 'Practice jumps: {jumps} / {expected} · detected with the proposal: {detected}',
+  'tuning.noise': 'Rest noise: {rest} m/s² · flight (p95): {flight} m/s²',
+  'tuning.threshold': 'Threshold',
+  'tuning.current': 'Current',
+  'tuning.proposed': 'Proposed',
+  'tuning.save': 'Save for this device',
+  'tuning.discard': 'Discard',
+  'tuning.saved': 'Thresholds saved',
+  'tuning.saveFailed': 'Could not save the thresholds: {error}',
+
+  // Athletes
+  'athletes.title': 'Athletes',
+  'athletes.empty': 'No saved athletes',
+  'athletes.new': 'New athlete',
+  'athletes.edit': 'Edit athlete',
+  'athletes.name': 'Name',
+  'athletes.bodyMass': 'Body mass (kg)',
+  'athletes.height': 'Height (cm)',
+  'athletes.sex': 'Sex',
+  'athletes.sport': 'Sport',
+  'athletes.dominantLeg': 'Dominant leg',
+  'athletes.leg.left': 'Left',
+  'athletes.leg.right': 'Right',
+  'athletes.legDetail': '{leg} leg',
+  'athletes.progress': 'Progress',
+  'athletes.confirmDelete': 'Delete {name}?',
+
+  // Protocols (JumpProtocols.js)
+  'protocol.free.name': 'Free series',
+  'protocol.free.instructions': 'Jump as many times as you like. Double tap to end the capture.',
+  'protocol.cmj.name': 'CMJ (best of 3)',
+  'protocol.cmj.instructions':
+    'Hands on hips. Bend your knees quickly and jump as high as you can, without bending your legs in the air. Stand still for a few seconds between jumps. 3 attempts.',
+  'protocol.sj.name': 'Squat jump (best of 3)',
+  'protocol.sj.instructions':
+    'Hands on hips. Squat down to 90° at the knees, hold 2–3 s and jump without a countermovement. 3 attempts.',
+  'protocol.dj.name': 'Drop jump (3 attempts)',
+  'protocol.dj.instructions':
+    'Step onto the box with your hands on your hips. Drop down on both feet and rebound as fast and as high as you can as soon as you touch the ground. 3 attempts.',
+  'protocol.rj10_5.name': 'Repeated jumps 10/5',
+  'protocol.rj10_5.instructions':
+    'Hands on hips. Do 10 jumps in a row, rebounding as fast and as high as you can, with straight legs and landing on the balls of your feet. The best 5 RSI values are averaged.',
+  'protocol.bosco15.name': 'Bosco 15 s',
+  'protocol.bosco15.instructions':
+    'Hands on hips. At the beep, jump continuously and maximally for 15 s, with straight legs in the air. The capture ends by itself.',
+  'protocol.bosco30.name': 'Bosco 30 s',
+  'protocol.bosco30.instructions':
+    'Hands on hips. At the beep, jump continuously and maximally for 30 s, with straight legs in the air. The capture ends by itself.',
+  'protocol.bestHeight': 'Best height (of {n})',
+  'protocol.meanHeight': 'Mean height',
+  'protocol.bestFlight': 'Flight of the best jump',
+  'protocol.bestRsi': 'Best RSI',
+  'protocol.heightAtBestRsi': 'Height (best RSI)',
+  'protocol.contactAtBestRsi': 'Contact (best RSI)',
+  'protocol.meanRsiTop': 'Mean RSI (best {n})',
+  'protocol.meanContact': 'Mean contact',
+  'protocol.boscoPower': 'Mean power (Bosco)',
+  'protocol.totalFlight': 'Total flight',
+
+  // Signal quality (SignalQuality.js)
+  'quality.clipping': 'Accelerometer saturated in {count} stretch(es) ({axes} axis, ±{g} g)',
+  'quality.gaps': '{count} sampling gap(s), {missing} sample(s) lost, the longest {longest} ms',
+  'quality.orientation': 'The phone rotated {angle}° during the capture: check how it is attached',
+  'quality.jumpGap': 'Samples lost during the jump ({missing}): times are not reliable',
+  'quality.jumpClipping': 'Accelerometer saturated: force and impulse underestimated',
+  'quality.jumpOrientation': 'The phone rotated {angle}° with the jump: it may have shifted in the belt',
+  'quality.noisyFlight': 'Noisy flight phase (SD {std} m/s²): the phone may have moved',
+
+  // dashboard.html
+  'dashboard.pageTitle': 'ActivSensor Progress',
+  'dashboard.heading': 'Athlete progress',
+  'dashboard.back': 'Back to capture',
+  'dashboard.athlete': 'Athlete:',
+  'dashboard.protocol': 'Protocol:',
+  'dashboard.all': 'All',
+  'dashboard.empty': 'No sessions with valid jumps for this athlete and protocol',
+  'dashboard.status': '{sessions} session(s) · baseline: first {baseline}',
+  'dashboard.chart.height': 'Height',
+  'dashboard.chart.rsi': 'RSI',
+  'dashboard.chart.contact': 'Contact time',
+  'dashboard.chart.fatigue': 'Fatigue (%)',
+  'dashboard.baseline': '{metric}: baseline (±SD)',
+  'dashboard.best': '{metric}: best',
+  'progress.h': 'Height',
+  'progress.rsi': 'RSI',
+  'progress.tc': 'Contact time',
+  'progress.heightDrop': 'Height fatigue',
+  'progress.rsiDrop': 'RSI fatigue',
+
+  // test.html
+  'sensors.pageTitle': 'Device Sensor Visualizer',
+  'sensors.heading': 'Device Sensor Visualizer',
+  'sensors.intro':
+    'This page displays live data from your device sensors and renders a 3D orientation view. Please grant motion and orientation permissions when prompted.',
+  'sensors.enable': 'Enable Motion',
+  'sensors.select': 'Select sensor:',
+  'sensors.fused': 'Fused orientation',
+  'sensors.unsupported': '{sensor} is not supported on this device.',
+  'sensors.denied': 'Permission to access sensor was denied.',
+  'sensors.error': 'Sensor error: {error}',
+  'sensors.startFailed': 'Sensor start failed: {error}',
+  'sensors.fusedUnsupported': 'Fused orientation is not supported on this device.',
+  'sensors.fusedNeedsGyro': 'Fused orientation needs a gyroscope and an accelerometer.',
+  'sensors.motionDenied': 'Permission to access motion/orientation was denied.',
+  'sensors.unavailable': 'Motion and orientation APIs are not available on this device.',
+
+  // Errors thrown by the library modules (after the "function: " prefix)
+  'error.import.noSamples': 'the file has no acceleration samples.',
+  'error.import.invalidJson': 'invalid JSON.',
+  'error.import.unknownFormat': 'unknown format (expected "{format}").',
+  'error.import.unsupportedVersion': 'version {version} is not supported.',
+  'error.import.emptyCsv': 'the CSV has no data.',
+  'error.import.missingColumns': 'missing time and/or ax, ay, az columns.',
+  'error.gravity.noSamples': 'no samples to calibrate with.',
+  'error.detector.missingGravity': 'gUnit/g0 are missing.',
+  'error.detector.notCalibrated': 'gUnit/g0 are missing. Run calibrate() first.',
+  'error.detector.motionDenied': 'Motion permission denied.',
+  'error.detector.notStill': 'Calibration failed: the phone never stayed still, repeat the calibration.',
+  'error.detector.gravityOutOfRange': 'Gravity value out of range, repeat the calibration.',
+  'error.kinetics.massPositive': 'massKg must be > 0.',
+  'error.kinetics.noConcentric': 'no concentric phase found.',
+  'error.metrics.fewPropulsiveSamples': 'too few samples in the propulsive phase.',
+  'error.metrics.missingFlightTimes': 'tTakeoff and/or tLanding are missing.',
+  'error.metrics.landingBeforeTakeoff': 'tLanding must be > tTakeoff.',
+  'error.metrics.flightPositive': 'tFlight must be > 0.',
+  'error.metrics.missingContactTimes': 'tContactStart and/or tTakeoff are missing.',
+  'error.metrics.velocityPositive': 'vTakeoff must be > 0.',
+  'error.metrics.takeoffBeforeContact': 'tTakeoff must be > tContactStart.',
+  'error.metrics.heightNonNegative': 'heightMeters must be >= 0.',
+  'error.metrics.contactPositive': 'tContact must be > 0.',
+  'error.metrics.notEnoughValues': 'not enough values.',
+  'error.metrics.firstMeanPositive': 'the initial mean must be > 0.',
+  'error.metrics.noValues': 'no values.',
+  'error.metrics.bestPositive': 'the best value must be > 0.',
+  'error.metrics.countPositive': 'count must be > 0.',
+  'error.metrics.totalFlightPositive': 'totalFlight must be > 0.',
+  'error.metrics.totalTimeAboveFlight': 'totalTime must be > totalFlight.',
+  'error.metrics.noTapTarget': 'target element not found.',
+  'error.orientation.unknownFilter': 'unknown filter "{type}".',
+  'error.sampling.ratePositive': 'the rate must be > 0.',
+  'error.filter.unknownType': 'unknown type "{type}".',
+  'error.filter.order': 'the order must be an integer between 1 and 8.',
+  'error.filter.cutoff': 'the cutoff frequency must be between 0 and Nyquist.',
+  'error.tuning.tooShort': 'the practice capture is too short.',
+  'error.tuning.noJumps': 'no practice jumps were detected.',
+  'error.athlete.nameRequired': 'the name is required.',
+  'error.device.noThresholds': 'there are no thresholds to save.',
+  'error.db.unavailable': 'IndexedDB is not available in this browser.',
+});
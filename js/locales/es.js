@@ -0,0 +1,301 @@
+// Spanish catalog: the reference one, every key must exist here (see I18n.js)
+
+export default Object.freeze({
+  // Language switcher
+  'language.label': 'Idioma',
+
+  // Units (Units.js)
+  'units.label': 'Unidades',
+  'units.length': 'Altura',
+  'units.time': 'Tiempos',
+  'units.rsi': 'RSI',
+  'units.m': 'metros (m)',
+  'units.cm': 'centímetros (cm)',
+  'units.in': 'pulgadas (in)',
+  'units.s': 'segundos (s)',
+  'units.ms': 'milisegundos (ms)',
+  'units.m/s': 'altura / contacto (m/s)',
+  'units.ratio': 'vuelo / contacto (sin unidad)',
+
+  // Spoken results (Speech.js)
+  'speech.label': 'Resultados hablados',
+  'speech.verbosity': 'Anuncios',
+  'speech.verbosity.off': 'Sólo pitidos',
+  'speech.verbosity.summary': 'Resumen al final',
+  'speech.verbosity.jumps': 'Cada salto',
+  'speech.verbosity.detailed': 'Cada salto, con detalle',
+  'speech.language': 'Idioma',
+  'speech.lang.auto': 'El de la interfaz',
+  'speech.voice': 'Voz',
+  'speech.voice.default': 'Por defecto',
+  'speech.test': 'Probar',
+  'speech.unsupported': 'Este navegador no puede hablar: se usan pitidos.',
+  'speech.jump': 'Salto {n}, {height}',
+  'speech.jumpDetails': '{jump}, RSI {rsi}, contacto {contact}',
+  'speech.summary': '{count} saltos. Mejor altura {height}',
+  'speech.summaryOne': 'Un salto. Altura {height}',
+  'speech.summaryDetails': '{summary}. Altura media {mean}. Mejor RSI {rsi}',
+  'speech.m': '{value} metros',
+  'speech.cm': '{value} centímetros',
+  'speech.in': '{value} pulgadas',
+  'speech.s': '{value} segundos',
+  'speech.ms': '{value} milisegundos',
+
+  // Shared actions
+  'common.cancel': 'Cancelar',
+  'common.close': 'Cerrar',
+  'common.delete': 'Eliminar',
+  'common.edit': 'Editar',
+  'common.open': 'Abrir',
+  'common.save': 'Guardar',
+  'common.noAthlete': 'Sin atleta',
+
+  // index.html
+  'index.heading': 'Demo de Sensores',
+  'index.intro':
+    'Presiona el botón para habilitar el acceso a los sensores de movimiento y observa cómo el punto rojo sigue tus movimientos.',
+  'index.permissions': 'Permisos de movimiento',
+  'index.help': 'Ayuda',
+  'index.history': 'Historial',
+  'index.athletes': 'Atletas',
+  'index.progress': 'Progreso',
+  'index.tune': 'Ajustar umbrales',
+  'index.athlete': 'Atleta:',
+  'index.import': 'Importar captura',
+  'index.realtime': 'Tiempo real',
+  'index.protocol': 'Protocolo:',
+  'index.bodyMass': 'Masa corporal sin atleta (kg):',
+  'picker.title': '¿Quién salta?',
+  'help.title': 'Cómo colocar el teléfono',
+  'help.body':
+    'Sujeta el teléfono firmemente en la parte baja de la espalda, a la altura de la cintura, con la pantalla hacia afuera. Utiliza un cinturón o banda elástica para mantenerlo inmóvil durante la prueba.',
+
+  // Live readout
+  'live.magnitude': 'Magnitud',
+  'live.height': 'Altura',
+  'live.calibrating': 'Calibrando, quieto',
+  'live.moving': '¡Quieto!',
+  'live.jump': 'Salto {n}',
+  'calibration.failed':
+    'No se logró quietud para calibrar. Quédate inmóvil tras la cuenta regresiva y vuelve a intentarlo.',
+
+  // History
+  'history.title': 'Historial',
+  'history.empty': 'No hay sesiones guardadas',
+  'history.details': '{athlete} · {protocol} · {jumps} saltos · {samples} muestras',
+  'history.best': 'mejor altura {height}',
+  'history.confirmDelete': '¿Eliminar esta sesión?',
+
+  // Results
+  'results.noJumps': 'No se detectaron saltos',
+  'results.summary': 'Resumen',
+  'results.protocol': 'Protocolo',
+  'results.count': 'Conteo',
+  'results.cadence': 'Cadencia',
+  'results.cadenceUnit': 'saltos/min',
+  'results.quality': 'Calidad de señal',
+  'results.sampling': 'Muestreo: {rate} Hz · jitter {jitter} ms',
+  'results.jump': 'Salto {n}',
+  'results.manual': '(manual)',
+  'results.invalid': '(no válido)',
+  'results.flightTime': 'Tiempo de vuelo',
+  'results.heights': 'Altura (vuelo / impulso)',
+  'results.takeoffVelocity': 'Vel. de despegue',
+  'results.contactTime': 'Tiempo de contacto',
+  'results.rebound': '(rebote)',
+  'results.rsi': 'RSI',
+  'results.force': 'Fuerza pico / media',
+  'results.power': 'Potencia pico / media',
+  'results.powerSayersHarman': 'Potencia pico Sayers / Harman',
+  'results.powerHarmanMean': 'Potencia media Harman',
+  'results.exportCsv': 'Exportar CSV',
+  'results.exportJson': 'Exportar JSON',
+  'results.reset': 'Reset',
+  'results.importFailed': 'No se pudo importar la captura: {error}',
+
+  // Consistency and fatigue card
+  'stats.title': 'Consistencia y fatiga',
+  'stats.best': 'Mejor',
+  'stats.mean': 'Media',
+  'stats.sd': 'DE',
+  'stats.cv': 'CV %',
+  'stats.height': 'Altura',
+  'stats.contact': 'Contacto',
+  'stats.rsi': 'RSI',
+  'stats.fatigue': 'Índice de fatiga (primeros vs últimos {n})',
+  'stats.decrement': 'Decremento (Sdec)',
+  'stats.drops': 'altura {height} % · RSI {rsi} %',
+
+  // Charts
+  'trend.jump': 'Salto',
+  'trend.height': 'Altura',
+  'trend.contact': 'Contacto',
+  'trend.rsi': 'RSI',
+  'chart.aVert': 'a vertical (m/s²)',
+  'chart.aVertFiltered': 'a vertical filtrada',
+  'chart.aTot': '|a| − g',
+  'chart.time': 'Tiempo (s)',
+  'chart.fullCapture': 'Ver captura completa',
+  'chart.addJump': 'Agregar salto',
+  'chart.tapTakeoff': 'Toca el despegue…',
+  'chart.edit': 'Editar eventos',
+  'chart.saveEdits': 'Guardar cambios',
+  'chart.deleteJump': 'Eliminar salto',
+
+  // Threshold tuning
+  'tuning.title': 'Ajuste de umbrales',
+  'tuning.deviceProfile': 'Este dispositivo ya tiene umbrales ajustados.',
+  'tuning.defaults': 'Se usan los umbrales por defecto.',
+  'tuning.instructions':
+    'Toca dos veces para empezar, quédate quieto hasta la señal y haz {jumps} saltos máximos con unos segundos de pausa entre ellos. La captura dura {seconds} s.',
+  'tuning.useDefaults': 'Usar valores por defecto',
+  'tuning.retry': 'Reintentar',
+  'tuning.practice': 'Saltos de práctica: {jumps} / {expected} · detectados con la propuesta: {detected}',
+  'tuning.noise': 'Ruido en reposo: {rest} m/s² · vuelo (p95): {flight} m/s²',
+  'tuning.threshold': 'Umbral',
+  'tuning.current': 'Actual',
+  'tuning.proposed': 'Propuesto',
+  'tuning.save': 'Guardar para este dispositivo',
+  'tuning.discard': 'Descartar',
+  'tuning.saved': 'Umbrales guardados',
+  'tuning.saveFailed': 'No se pudieron guardar los umbrales: {error}',
+
+  // Athletes
+  'athletes.title': 'Atletas',
+  'athletes.empty': 'No hay atletas guardados',
+  'athletes.new': 'Nuevo atleta',
+  'athletes.edit': 'Editar atleta',
+  'athletes.name': 'Nombre',
+  'athletes.bodyMass': 'Masa corporal (kg)',
+  'athletes.height': 'Estatura (cm)',
+  'athletes.sex': 'Sexo',
+  'athletes.sport': 'Deporte',
+  'athletes.dominantLeg': 'Pierna dominante',
+  'athletes.leg.left': 'Izquierda',
+  'athletes.leg.right': 'Derecha',
+  'athletes.legDetail': 'pierna {leg}',
+  'athletes.progress': 'Progreso',
+  'athletes.confirmDelete': '¿Eliminar a {name}?',
+
+  // Protocols (JumpProtocols.js)
+  'protocol.free.name': 'Serie libre',
+  'protocol.free.instructions': 'Salta las veces que quieras. Doble toque para terminar la captura.',
+  'protocol.cmj.name': 'CMJ (mejor de 3)',
+  'protocol.cmj.instructions':
+    'Manos en la cintura. Flexiona rápido las rodillas y salta lo más alto posible, sin doblar las piernas en el aire. Quédate quieto unos segundos entre saltos. 3 intentos.',
+  'protocol.sj.name': 'Squat jump (mejor de 3)',
+  'protocol.sj.instructions':
+    'Manos en la cintura. Baja a sentadilla con rodillas a 90°, mantén 2–3 s y salta sin contramovimiento. 3 intentos.',
+  'protocol.dj.name': 'Drop jump (3 intentos)',
+  'protocol.dj.instructions':
+    'Sube al cajón con las manos en la cintura. Déjate caer con ambos pies y rebota lo más rápido y alto posible apenas toques el suelo. 3 intentos.',
+  'protocol.rj10_5.name': 'Saltos repetidos 10/5',
+  'protocol.rj10_5.instructions':
+    'Manos en la cintura. Haz 10 saltos seguidos rebotando lo más rápido y alto posible, con piernas extendidas y tocando el suelo con la punta de los pies. Se promedian los 5 mejores RSI.',
+  'protocol.bosco15.name': 'Bosco 15 s',
+  'protocol.bosco15.instructions':
+    'Manos en la cintura. Al sonar el pitido, salta de forma continua y máxima durante 15 s, con piernas extendidas en el aire. La captura termina sola.',
+  'protocol.bosco30.name': 'Bosco 30 s',
+  'protocol.bosco30.instructions':
+    'Manos en la cintura. Al sonar el pitido, salta de forma continua y máxima durante 30 s, con piernas extendidas en el aire. La captura termina sola.',
+  'protocol.bestHeight': 'Mejor altura (de {n})',
+  'protocol.meanHeight': 'Altura media',
+  'protocol.bestFlight': 'Vuelo del mejor salto',
+  'protocol.bestRsi': 'Mejor RSI',
+  'protocol.heightAtBestRsi': 'Altura (mejor RSI)',
+  'protocol.contactAtBestRsi': 'Contacto (mejor RSI)',
+  'protocol.meanRsiTop': 'RSI medio ({n} mejores)',
+  'protocol.meanContact': 'Contacto medio',
+  'protocol.boscoPower': 'Potencia media (Bosco)',
+  'protocol.totalFlight': 'Vuelo total',
+
+  // Signal quality (SignalQuality.js)
+  'quality.clipping': 'Acelerómetro saturado en {count} tramo(s) (eje {axes}, ±{g} g)',
+  'quality.gaps': '{count} hueco(s) de muestreo, {missing} muestra(s) perdida(s), el mayor de {longest} ms',
+  'quality.orientation': 'El teléfono giró {angle}° durante la captura: revisa cómo está sujeto',
+  'quality.jumpGap': 'Muestras perdidas durante el salto ({missing}): tiempos no confiables',
+  'quality.jumpClipping': 'Acelerómetro saturado: fuerza e impulso subestimados',
+  'quality.jumpOrientation': 'El teléfono giró {angle}° con el salto: pudo moverse en el cinturón',
+  'quality.noisyFlight': 'Fase de vuelo ruidosa (desvío {std} m/s²): el teléfono pudo moverse',
+
+  // dashboard.html
+  'dashboard.pageTitle': 'ActivSensor Progreso',
+  'dashboard.heading': 'Progreso del atleta',
+  'dashboard.back': 'Volver a la captura',
+  'dashboard.athlete': 'Atleta:',
+  'dashboard.protocol': 'Protocolo:',
+  'dashboard.all': 'Todos',
+  'dashboard.empty': 'No hay sesiones con saltos válidos para este atleta y protocolo',
+  'dashboard.status': '{sessions} sesión(es) · referencia: primeras {baseline}',
+  'dashboard.chart.height': 'Altura',
+  'dashboard.chart.rsi': 'RSI',
+  'dashboard.chart.contact': 'Tiempo de contacto',
+  'dashboard.chart.fatigue': 'Fatiga (%)',
+  'dashboard.baseline': '{metric}: referencia (±DE)',
+  'dashboard.best': '{metric}: mejor marca',
+  'progress.h': 'Altura',
+  'progress.rsi': 'RSI',
+  'progress.tc': 'Tiempo de contacto',
+  'progress.heightDrop': 'Fatiga de altura',
+  'progress.rsiDrop': 'Fatiga de RSI',
+
+  // test.html
+  'sensors.pageTitle': 'Visualizador de sensores',
+  'sensors.heading': 'Visualizador de sensores',
+  'sensors.intro':
+    'Esta página muestra en vivo los datos de los sensores del dispositivo y una vista 3D de su orientación. Concede los permisos de movimiento y orientación cuando se soliciten.',
+  'sensors.enable': 'Habilitar movimiento',
+  'sensors.select': 'Sensor:',
+  'sensors.fused': 'Orientación fusionada',
+  'sensors.unsupported': '{sensor} no está disponible en este dispositivo.',
+  'sensors.denied': 'Se denegó el acceso al sensor.',
+  'sensors.error': 'Error del sensor: {error}',
+  'sensors.startFailed': 'No se pudo iniciar el sensor: {error}',
+  'sensors.fusedUnsupported': 'La orientación fusionada no está disponible en este dispositivo.',
+  'sensors.fusedNeedsGyro': 'La orientación fusionada necesita giroscopio y acelerómetro.',
+  'sensors.motionDenied': 'Se denegó el acceso a movimiento/orientación.',
+  'sensors.unavailable': 'Las APIs de movimiento y orientación no están disponibles en este dispositivo.',
+
+  // Errors thrown by the library modules (after the "function: " prefix)
+  'error.import.noSamples': 'el archivo no contiene muestras de aceleración.',
+  'error.import.invalidJson': 'JSON inválido.',
+  'error.import.unknownFormat': 'formato desconocido (se esperaba "{format}").',
+  'error.import.unsupportedVersion': 'versión {version} no soportada.',
+  'error.import.emptyCsv': 'el CSV no tiene datos.',
+  'error.import.missingColumns': 'faltan columnas de tiempo y/o ax, ay, az.',
+  'error.gravity.noSamples': 'no hay muestras para calibrar.',
+  'error.detector.missingGravity': 'faltan gUnit/g0.',
+  'error.detector.notCalibrated': 'Faltan gUnit/g0. Ejecutá calibrate() primero.',
+  'error.detector.motionDenied': 'Permiso de motion denegado.',
+  'error.detector.notStill': 'Calibración fallida: no se logró quietud, repetí la calibración.',
+  'error.detector.gravityOutOfRange': 'Valor de gravedad fuera de rango, repetí la calibración.',
+  'error.kinetics.massPositive': 'massKg debe ser > 0.',
+  'error.kinetics.noConcentric': 'no se encontró fase concéntrica.',
+  'error.metrics.fewPropulsiveSamples': 'muy pocas muestras en la fase propulsiva.',
+  'error.metrics.missingFlightTimes': 'faltan tTakeoff y/o tLanding.',
+  'error.metrics.landingBeforeTakeoff': 'tLanding debe ser > tTakeoff.',
+  'error.metrics.flightPositive': 'tFlight debe ser > 0.',
+  'error.metrics.missingContactTimes': 'faltan tContactStart y/o tTakeoff.',
+  'error.metrics.velocityPositive': 'vTakeoff debe ser > 0.',
+  'error.metrics.takeoffBeforeContact': 'tTakeoff debe ser > tContactStart.',
+  'error.metrics.heightNonNegative': 'heightMeters debe ser >= 0.',
+  'error.metrics.contactPositive': 'tContact debe ser > 0.',
+  'error.metrics.notEnoughValues': 'no hay suficientes valores.',
+  'error.metrics.firstMeanPositive': 'la media inicial debe ser > 0.',
+  'error.metrics.noValues': 'no hay valores.',
+  'error.metrics.bestPositive': 'el mejor valor debe ser > 0.',
+  'error.metrics.countPositive': 'count debe ser > 0.',
+  'error.metrics.totalFlightPositive': 'totalFlight debe ser > 0.',
+  'error.metrics.totalTimeAboveFlight': 'totalTime debe ser > totalFlight.',
+  'error.metrics.noTapTarget': 'no se encontró el elemento objetivo.',
+  'error.orientation.unknownFilter': 'filtro desconocido "{type}".',
+  'error.sampling.ratePositive': 'la frecuencia debe ser > 0.',
+  'error.filter.unknownType': 'tipo desconocido "{type}".',
+  'error.filter.order': 'el orden debe ser un entero entre 1 y 8.',
+  'error.filter.cutoff': 'la frecuencia de corte debe estar entre 0 y la de Nyquist.',
+  'error.tuning.tooShort': 'la captura de práctica es muy corta.',
+  'error.tuning.noJumps': 'no se detectaron saltos de práctica.',
+  'error.athlete.nameRequired': 'el nombre es obligatorio.',
+  'error.device.noThresholds': 'no hay umbrales para guardar.',
+  'error.db.unavailable': 'IndexedDB no está disponible en este navegador.',
+});
@@ -0,0 +1,11 @@
+// Registers the offline service worker (sw.js at the site root, so its scope
+// covers every page). Service workers need HTTPS or localhost; elsewhere the
+// pages still work, just not offline.
+
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(new URL('../sw.js', import.meta.url))
+      .catch((err) => console.error('No se pudo registrar el service worker', err));
+  });
+}
@@ -1,10 +1,39 @@
 export const TAP_THRESHOLD = 15; // m/s^2 above gravity
 export const TAP_WINDOW = 400; // max ms between taps
 export const TAP_COOLDOWN = 3000; // ms to wait before next double tap
-export const NOISE_FLOOR = 0.1; // m/s^2 filter to ignore noise on all axes
 
 // Enumerate the sensors used on each platform
 export const SENSOR_TYPES = Object.freeze({
   ANDROID: 'LinearAccelerationSensor',
   IOS: 'devicemotion',
 });
+
+// Default jump detection thresholds, shared by live and post-capture analysis
+export const JUMP_DETECTION_DEFAULTS = Object.freeze({
+  flightEpsMag: 0.5, // m/s^2 tolerance of |a_tot| - g0 during flight
+  flightEpsVert: 0.6, // m/s^2 tolerance of |a_vert| during flight
+  moveThresh: 1.2, // m/s^2 of |a_vert| that marks movement on the ground
+  restThresh: 0.4, // m/s^2 of |a_vert| below which we are "almost still"
+  minFlight: 0.1, // s, shortest valid flight
+  maxFlight: 1.2, // s, longest plausible flight
+  minContact: 0.08, // s, shortest valid contact
+  maxReboundContact: 0.8, // s, longest landing-to-takeoff counted as a rebound
+  impactWindow: 0.06, // s after landing searched for the impact peak, and before it for touch-down (rebound mode)
+  calibMs: 500, // ms at the start of a capture used to estimate gravity
+});
+
+// Butterworth conditioning of a_vert and |a| before detection. Captures are
+// filtered zero-phase (forward-backward) and live detection causally, so the
+// live path lags a little behind the stored analysis
+export const SIGNAL_FILTER_DEFAULTS = Object.freeze({
+  order: 2, // filter order of each pass
+  lowpassHz: 10, // Hz, 0 disables; ignored if at or above Nyquist
+  highpassHz: 0, // Hz, 0 disables; applied to a_vert only (|a| keeps gravity)
+});
+
+// Assumed rate when a detector starts without enough samples to measure it
+export const DEFAULT_SAMPLE_RATE = 60; // Hz
+
+// Uniform rate captures are interpolated to before analysis, so event times
+// are not quantized by the irregular delivery of the browser
+export const ANALYSIS_SAMPLE_RATE = 100; // Hz
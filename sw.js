@@ -0,0 +1,108 @@
+// Service worker: precaches the app shell so capture, analysis and history
+// work with no connection. Everything the pages load is local (libraries are
+// vendored under vendor/ and Tailwind is compiled to css/tailwind.css), so the
+// shell is served cache-first. Bump CACHE_VERSION whenever a cached file
+// changes; the old cache is dropped when the new worker activates.
+
+const CACHE_VERSION = 5;
+const CACHE_NAME = `activsensor-v${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'dashboard.html',
+  'test.html',
+  'manifest.webmanifest',
+  'css/tailwind.css',
+  'css/styles.css',
+  'img/help.png',
+  'img/icon-192.png',
+  'img/icon-512.png',
+  'img/icon-maskable-512.png',
+  'vendor/chart.umd.min.js',
+  'vendor/chartjs-plugin-zoom.min.js',
+  'vendor/hammer.min.js',
+  'vendor/three.min.js',
+  'vendor/webmidi.iife.min.js',
+  'client_app/src/hooks/useDoubleTap.js',
+  'js/AthleteStore.js',
+  'js/Calibration.js',
+  'js/CaptureImport.js',
+  'js/CaptureReplay.js',
+  'js/DeviceProfileStore.js',
+  'js/I18n.js',
+  'js/JumpDetectorCore.js',
+  'js/JumpEventDetector.js',
+  'js/JumpExport.js',
+  'js/JumpKinetics.js',
+  'js/JumpMetrics.js',
+  'js/JumpProtocols.js',
+  'js/LocalDb.js',
+  'js/Orientation.js',
+  'js/OrientationFilter.js',
+  'js/ProgressMetrics.js',
+  'js/Sampling.js',
+  'js/SessionStore.js',
+  'js/SignalFilters.js',
+  'js/SignalQuality.js',
+  'js/Speech.js',
+  'js/ThresholdTuning.js',
+  'js/Units.js',
+  'js/ZipArchive.js',
+  'js/analysisChart.js',
+  'js/app.js',
+  'js/athletesPanel.js',
+  'js/dashboard.js',
+  'js/jumpApp.js',
+  'js/locales/en.js',
+  'js/locales/es.js',
+  'js/registerServiceWorker.js',
+  'js/settings.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('activsensor-') && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache first; pages ignore the query string (dashboard.html?athlete=…).
+// Anything outside the shell goes to the network and is cached on success.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  const isPage = request.mode === 'navigate';
+  event.respondWith(
+    caches.match(request, { ignoreSearch: isPage }).then(
+      (cached) =>
+        cached ||
+        fetch(request)
+          .then((response) => {
+            if (response.ok) {
+              const copy = response.clone();
+              caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+            }
+            return response;
+          })
+          .catch(() => (isPage ? caches.match('index.html') : Response.error()))
+    )
+  );
+});